@@ -0,0 +1,89 @@
+// Runs the storage benchmark without a browser. jsdom provides the DOM and
+// localStorage, fake-indexeddb an in-memory IndexedDB and Node its own
+// BroadcastChannel, so the numbers compare the strategies' code paths rather
+// than real browser storage; the benchmark page measures that.
+//
+//   npm run bench -- --sizes 10,100,1000 --strategies memory,hybrid --mutations 20 --out results.csv
+//
+// Results are printed as a table and written as JSON or CSV, by the
+// extension of --out.
+import 'fake-indexeddb/auto';
+import { writeFile } from 'node:fs/promises';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import { JSDOM } from 'jsdom';
+import { createRoot } from 'react-dom/client';
+import { createServer } from 'vite';
+
+const { values } = parseArgs({
+  options: {
+    sizes: { type: 'string' },
+    strategies: { type: 'string' },
+    mutations: { type: 'string', default: '20' },
+    out: { type: 'string' },
+  },
+});
+
+const list = (value) => value?.split(',').map(item => item.trim()).filter(Boolean);
+
+const dom = new JSDOM('<!doctype html><div id="root"></div>', { url: 'http://localhost/' });
+const browserGlobals = ['window', 'document', 'localStorage', 'sessionStorage', 'navigator', 'HTMLElement', 'Event', 'CustomEvent'];
+browserGlobals.forEach(name => {
+  // Node defines some of these itself, read-only
+  Object.defineProperty(globalThis, name, {
+    value: name === 'window' ? dom.window : dom.window[name],
+    configurable: true,
+    writable: true,
+  });
+});
+
+// Vite compiles the core's JSX; the benchmark runs in this process
+const server = await createServer({
+  configFile: new URL('../vite.config.js', import.meta.url).pathname,
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  logLevel: 'error',
+});
+
+try {
+  const core = await server.ssrLoadModule('shopping-cart-core');
+
+  const render = (element) => {
+    const root = createRoot(document.createElement('div'));
+    root.render(element);
+    return () => root.unmount();
+  };
+
+  const results = await core.runCartBenchmark({
+    strategies: list(values.strategies) ?? core.BENCHMARK_STRATEGIES,
+    sizes: list(values.sizes)?.map(Number) ?? core.BENCHMARK_SIZES,
+    mutations: Number(values.mutations),
+    render,
+    onProgress: ({ strategy, lines, done, total }) => {
+      console.error(`[${done + 1}/${total}] ${strategy} with ${lines} lines`);
+    },
+  });
+
+  console.table(results.map(result => ({
+    strategy: result.strategy,
+    lines: result.lines,
+    mode: result.storageMode,
+    'first render ms': result.firstRender,
+    'loaded ms': result.loaded,
+    'mutation ms': result.mutation?.median,
+    'persistence ms': result.persistence?.median,
+    'other tab ms': result.propagation?.median ?? '',
+    'footprint B': result.footprint,
+    error: result.error ?? '',
+  })));
+
+  if (values.out) {
+    const text = values.out.endsWith('.csv')
+      ? core.benchmarkResultsToCSV(results)
+      : core.benchmarkResultsToJSON(results, { runtime: `node ${process.version}`, storage: 'jsdom + fake-indexeddb' });
+    await writeFile(values.out, text);
+    console.error(`Wrote ${values.out}`);
+  }
+} finally {
+  await server.close();
+}
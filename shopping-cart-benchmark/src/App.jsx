@@ -0,0 +1,17 @@
+import { StorageBenchmark } from 'shopping-cart-core';
+
+// Main App Component
+const App = () => {
+  return (
+    <div className="p-4 max-w-6xl mx-auto">
+      <h1 className="text-3xl font-bold mb-2">Shopping Cart Storage Benchmark</h1>
+      <p className="mb-6">
+        Runs the same CartProvider on each storage strategy with carts of growing size. Build and preview
+        the app (<code>npm run build &amp;&amp; npm run preview</code>) for numbers without development checks.
+      </p>
+      <StorageBenchmark />
+    </div>
+  );
+};
+
+export default App;
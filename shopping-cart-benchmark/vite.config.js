@@ -0,0 +1,19 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// Shared cart engine, components and storage adapters
+const coreDir = fileURLToPath(new URL('../shopping-cart-core', import.meta.url))
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [react()],
+  resolve: {
+    alias: { 'shopping-cart-core': `${coreDir}/src/index.js` },
+    // core sources live outside this project; resolve React from here
+    dedupe: ['react', 'react-dom'],
+  },
+  server: {
+    fs: { allow: ['.', coreDir] },
+  },
+})
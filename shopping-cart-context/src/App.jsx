@@ -1,142 +1,56 @@
-
-import React, { createContext, useContext, useState } from 'react';
-
-// Context definition
-const CartContext = createContext();
-
-const CartProvider = ({ children }) => {
-  const [items, setItems] = useState([]);
-  
-  const addItem = (product) => {
-    setItems(prev => {
-      const existingItem = prev.find(item => item.id === product.id);
-      if (existingItem) {
-        return prev.map(item =>
-          item.id === product.id
-            ? { ...item, quantity: item.quantity + 1 }
-            : item
-        );
-      }
-      return [...prev, { ...product, quantity: 1 }];
-    });
-  };
-  
-  const updateQuantity = (productId, quantity) => {
-    if (quantity < 1) return;
-    setItems(prev => 
-      prev.map(item => 
-        item.id === productId ? { ...item, quantity } : item
-      )
-    );
-  };
-  
-  const removeItem = (productId) => {
-    setItems(prev => prev.filter(item => item.id !== productId));
-  };
-  
-  return (
-    <CartContext.Provider value={{ 
-      items, 
-      addItem, 
-      updateQuantity, 
-      removeItem,
-      total: items.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-    }}>
-      {children}
-    </CartContext.Provider>
-  );
-};
-
-// Sample products data
-const SAMPLE_PRODUCTS = [
-  { id: 1, name: 'Laptop', price: 999 },
-  { id: 2, name: 'Smartphone', price: 699 },
-  { id: 3, name: 'Headphones', price: 199 },
-];
-
-// Product List Component
-const ProductList = () => {
-  const { addItem } = useContext(CartContext);
-
-  return (
-    <div className="border p-4 rounded-lg">
-      <h2 className="text-xl font-bold mb-4">Products</h2>
-      <div className="space-y-4">
-        {SAMPLE_PRODUCTS.map(product => (
-          <div key={product.id} className="flex justify-between items-center p-2 border rounded">
-            <div>
-              <h3 className="font-semibold">{product.name}</h3>
-              <p className="text-gray-600">${product.price}</p>
-            </div>
-            <button
-              onClick={() => addItem(product)}
-              className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
-            >
-              Add to Cart
-            </button>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-};
-
-// Shopping Cart Component
-const ShoppingCart = () => {
-  const { items, updateQuantity, removeItem, total } = useContext(CartContext);
-  
-  return (
-    <div className="border p-4 rounded-lg">
-      <h2 className="text-xl font-bold mb-4">Shopping Cart</h2>
-      {items.length === 0 ? (
-        <p className="text-gray-500">Your cart is empty</p>
-      ) : (
-        <div className="space-y-4">
-          {items.map(item => (
-            <div key={item.id} className="flex justify-between items-center p-2 border rounded">
-              <div>
-                <h3 className="font-semibold">{item.name}</h3>
-                <p className="text-gray-600">${item.price}</p>
-              </div>
-              <div className="flex items-center space-x-2">
-                <input
-                  type="number"
-                  min="1"
-                  value={item.quantity}
-                  onChange={e => updateQuantity(item.id, parseInt(e.target.value))}
-                  className="w-16 p-1 border rounded"
-                />
-                <button
-                  onClick={() => removeItem(item.id)}
-                  className="text-red-500 hover:text-red-600"
-                >
-                  Remove
-                </button>
-              </div>
-            </div>
-          ))}
-          <div className="pt-4 border-t">
-            <p className="text-xl font-bold">Total: ${total.toFixed(2)}</p>
-          </div>
-        </div>
-      )}
-    </div>
-  );
-};
+import {
+  MultiCartProvider,
+  CartSwitcher,
+  SyncStatus,
+  ProductList,
+  ShoppingCart,
+  Checkout,
+  OrderHistory,
+  CartTransfer,
+  SharedCartPreview,
+  createCartRegistry,
+  createMockCartServer,
+  createOrderStore,
+  createCatalog,
+  createJsonSource,
+} from 'shopping-cart-core';
+
+// Stand-in for the cart API, so signing in syncs carts without a backend
+const server = createMockCartServer();
+
+// Named carts, all kept with this demo's storage strategy
+const carts = createCartRegistry({
+  strategy: 'memory',
+  sync: { fetch: server.fetch },
+});
+
+// Placed orders, kept in IndexedDB
+const orders = createOrderStore();
+
+// Product catalog, cached in IndexedDB for offline browsing
+const catalog = createCatalog({ source: createJsonSource() });
 
 // Main App Component
 const App = () => {
   return (
-    <CartProvider>
+    <MultiCartProvider registry={carts} catalog={catalog} orders={orders}>
       <div className="p-4 max-w-6xl mx-auto">
         <h1 className="text-3xl font-bold mb-6">Shopping Cart Demo</h1>
+        <CartSwitcher />
+        <SyncStatus />
+        <SharedCartPreview />
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <ProductList />
-          <ShoppingCart />
+          <ProductList catalog={catalog} />
+          <div className="space-y-6">
+            <ShoppingCart />
+            <Checkout />
+            <OrderHistory orders={orders} />
+            <CartTransfer />
+          </div>
         </div>
       </div>
-    </CartProvider>
+    </MultiCartProvider>
   );
 };
 
-export default App;
\ No newline at end of file
+export default App;
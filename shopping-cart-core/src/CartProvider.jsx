@@ -0,0 +1,462 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { CartContext } from './CartContext.js';
+import {
+  cartReducer,
+  cartTotal,
+  initialCartState,
+  validateCartAction,
+  ADD_ITEM,
+  UPDATE_QUANTITY,
+  REMOVE_ITEM,
+  CLEAR_CART,
+  APPLY_COUPON,
+  REMOVE_COUPON,
+  SET_REGION,
+  SET_SHIPPING_METHOD,
+  SAVE_FOR_LATER,
+  MOVE_TO_CART,
+  ADD_TO_WISHLIST,
+  REMOVE_SAVED,
+  ACCEPT_CHANGES,
+  EXPIRE_CART,
+  PLACE_ORDER,
+  IMPORT_CART,
+  APPLY_PATCH,
+  HYDRATE,
+} from './cartReducer.js';
+import { createOrder, validateCheckout } from './checkout/checkout.js';
+import { reorderLines } from './checkout/reorder.js';
+import { exportCartCSV, exportCartJSON, fitImportedLines } from './sharing/cartTransfer.js';
+import { createShareLink, resolveSharedCart } from './sharing/shareLink.js';
+import { createCommand, recordCommand, undoHistory, redoHistory, emptyHistory, forgetCommand } from './history.js';
+import { findCartChanges, isCartExpired, DEFAULT_CART_TTL } from './reconciliation.js';
+import { convertMoney, formatMoney, toMoney, DEFAULT_CURRENCY, EXCHANGE_RATES } from './money.js';
+import { validateCoupon, normalizeCouponCode } from './pricing/pricingEngine.js';
+import { calculateOrderTotals } from './pricing/orderTotals.js';
+import { DEFAULT_PROMOTIONS } from './pricing/promotions.js';
+import { TAX_TABLES, DEFAULT_REGION } from './pricing/tax.js';
+import { SHIPPING_METHODS } from './pricing/shipping.js';
+import { STORAGE_FAILED, DECRYPT_FAILED } from './adapters/storageSupport.js';
+
+// Storage-agnostic cart provider. All cart logic lives in `cartReducer`;
+// the adapter only decides where the resulting state is persisted.
+// Prices are shown and totalled in `currency`, converted with `rates`,
+// discounted by the `promotions` the pricing engine finds applicable, then
+// shipped and taxed to the cart's destination region.
+// With a `catalog`, lines are checked against current product data on load,
+// after every catalog refresh and by refreshing every `refreshInterval`.
+// Carts left untouched for `ttl` milliseconds are emptied (null never expires).
+// With a `sync` (see sync/cartSync.js), mutations are also pushed to the
+// server cart of the signed-in user. Checkout stores placed orders in `orders`
+// (see checkout/orderStore.js).
+const CartProvider = ({
+  adapter,
+  currency: initialCurrency = DEFAULT_CURRENCY,
+  locale,
+  rates = EXCHANGE_RATES,
+  promotions = DEFAULT_PROMOTIONS,
+  taxTables = TAX_TABLES,
+  shippingMethods = SHIPPING_METHODS,
+  defaultRegion = DEFAULT_REGION,
+  catalog,
+  refreshInterval = 10 * 60 * 1000,
+  ttl = DEFAULT_CART_TTL,
+  sync,
+  orders,
+  children,
+}) => {
+  // A cart that cannot be read starts out empty rather than taking the app down
+  const [state, setState] = useState(() => {
+    try {
+      const stored = adapter.peek?.();
+      return stored ? cartReducer(initialCartState, { type: HYDRATE, state: stored }) : initialCartState;
+    } catch (error) {
+      console.error('Failed to read cart:', error);
+      return initialCartState;
+    }
+  });
+  // Storage in use and the last storage error ({ code, message }); adapters
+  // without fallbacks only report their own failures
+  const [storageStatus, setStorageStatus] = useState(
+    () => adapter.storageStatus?.() ?? { mode: adapter.name, error: null }
+  );
+  const [currency, setCurrency] = useState(initialCurrency);
+  const [loading, setLoading] = useState(!adapter.peek);
+  // Set once `adapter.load()` settled, even when `peek` let the cart render earlier
+  const [loaded, setLoaded] = useState(false);
+  // Latest state, readable synchronously so rapid mutations never see a stale closure
+  const stateRef = useRef(state);
+  const loadingRef = useRef(loading);
+  const [history, setHistory] = useState(emptyHistory);
+  const historyRef = useRef(history);
+  // Most recent mutation made in this session, for the undo toast
+  const [lastChange, setLastChange] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [syncStatus, setSyncStatus] = useState(() => sync?.getStatus() ?? null);
+  // Mutations whose save has not settled yet, oldest first, as
+  // { action, prev, next, command, direction }. States adopted from elsewhere
+  // meanwhile are kept among them as { action, prev, next, incoming: true }.
+  const pendingRef = useRef([]);
+
+  const commit = useCallback((next) => {
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  // Takes a state that arrived from another tab or the server. While saves are
+  // pending it joins them, so rolling one back replays it instead of losing it.
+  const commitIncoming = useCallback((action) => {
+    const prev = stateRef.current;
+    const next = cartReducer(prev, action);
+    if (pendingRef.current.length > 0) {
+      pendingRef.current = [...pendingRef.current, { action, prev, next, incoming: true }];
+    }
+    commit(next);
+    return next;
+  }, [commit]);
+
+  // Drops a mutation whose save settled, and the incoming states no pending
+  // mutation precedes any longer
+  const settle = useCallback((mutation) => {
+    const rest = pendingRef.current.filter(other => other !== mutation);
+    const firstOwn = rest.findIndex(other => !other.incoming);
+    pendingRef.current = firstOwn === -1 ? [] : rest.slice(firstOwn);
+  }, []);
+
+  const commitHistory = useCallback((next) => {
+    historyRef.current = next;
+    setHistory(next);
+    adapter.saveHistory?.(next).catch(error => console.error('Failed to save cart history:', error));
+  }, [adapter]);
+
+  // An encrypted cart that cannot be opened explains why; other failures get `message`
+  const reportStorageError = useCallback((message, cause) => {
+    const error = cause?.code === DECRYPT_FAILED
+      ? { code: DECRYPT_FAILED, message: cause.message }
+      : { code: STORAGE_FAILED, message };
+    setStorageStatus(prev => ({ ...prev, error }));
+  }, []);
+
+  useEffect(() => {
+    setStorageStatus(adapter.storageStatus?.() ?? { mode: adapter.name, error: null });
+    return adapter.subscribeStorageStatus?.(setStorageStatus);
+  }, [adapter]);
+
+  // Load the persisted cart and follow changes made elsewhere (e.g. other tabs)
+  useEffect(() => {
+    let active = true;
+
+    adapter.load()
+      .then(stored => {
+        if (active && stored) {
+          commit(cartReducer(stateRef.current, { type: HYDRATE, state: stored }));
+        }
+      })
+      .catch(error => {
+        console.error('Failed to load cart:', error);
+        if (active) reportStorageError('Your saved cart could not be loaded.', error);
+      })
+      .finally(() => {
+        if (!active) return;
+        loadingRef.current = false;
+        setLoading(false);
+        setLoaded(true);
+      });
+
+    // Adopted only if nothing was recorded while it loaded
+    adapter.loadHistory?.()
+      .then(stored => {
+        if (active && stored && historyRef.current === emptyHistory) {
+          historyRef.current = stored;
+          setHistory(stored);
+        }
+      })
+      .catch(error => console.error('Failed to load cart history:', error));
+
+    const unsubscribe = adapter.subscribe?.(incoming => {
+      commitIncoming({ type: HYDRATE, state: incoming });
+    });
+
+    return () => {
+      active = false;
+      unsubscribe?.();
+    };
+  }, [adapter, commit, commitIncoming, reportStorageError]);
+
+  // Takes back a mutation that could not be saved: the cart returns to exactly
+  // the state before it, with the mutations and incoming states since replayed
+  // on top. Their saves are still pending and are taken back the same way if
+  // they fail.
+  const rollBack = useCallback((mutation, error) => {
+    const pending = pendingRef.current;
+    const index = pending.indexOf(mutation);
+    if (index === -1) return;
+    // The order is stored already; bringing its lines back would invite
+    // placing it twice, so the cart stays empty here
+    if (mutation.action.type === PLACE_ORDER) {
+      settle(mutation);
+      reportStorageError('Your order was placed, but the emptied cart could not be saved.', error);
+      return;
+    }
+    let state = mutation.prev;
+    pending.slice(index + 1).forEach(later => {
+      later.prev = state;
+      state = cartReducer(state, later.action);
+      later.next = state;
+    });
+    settle(mutation);
+    commit(state);
+    if (mutation.command) {
+      commitHistory(forgetCommand(historyRef.current, mutation.command, mutation.direction));
+      setLastChange(current => (current === mutation.command ? null : current));
+    }
+    reportStorageError('Your last change could not be saved and was undone.', error);
+  }, [commit, commitHistory, reportStorageError, settle]);
+
+  // Returns the pending mutation, or nothing when the action changed nothing
+  const dispatch = useCallback((action) => {
+    if (loadingRef.current) return undefined;
+
+    const prev = stateRef.current;
+    const next = cartReducer(prev, action);
+    if (next === prev) return undefined;
+
+    // Optimistic update, rolled back if the adapter fails to persist it
+    const mutation = { action, prev, next, command: null, direction: null };
+    pendingRef.current = [...pendingRef.current, mutation];
+    commit(next);
+    adapter.save(next, prev, action)
+      .then(() => settle(mutation))
+      .catch(error => {
+        console.error('Failed to save cart:', error);
+        rollBack(mutation, error);
+      });
+
+    // Undo and redo apply patches, which are not recorded themselves. An order
+    // cannot be taken back, so neither can anything before it.
+    if (action.type === PLACE_ORDER) {
+      commitHistory(emptyHistory);
+      setLastChange(null);
+    } else if (action.type !== APPLY_PATCH) {
+      const command = createCommand(prev, next, action);
+      mutation.command = command;
+      commitHistory(recordCommand(historyRef.current, command));
+      setLastChange(command);
+    }
+    sync?.enqueue(action);
+    return mutation;
+  }, [adapter, commit, commitHistory, sync, rollBack, settle]);
+
+  // The server cart, stored like any other change but neither undoable nor sent back
+  const adoptServerState = useCallback((serverState) => {
+    const prev = stateRef.current;
+    const action = { type: HYDRATE, state: serverState };
+    if (JSON.stringify(cartReducer(prev, action)) === JSON.stringify(prev)) return;
+    const next = commitIncoming(action);
+    adapter.save(next, prev, action)
+      .catch(error => console.error('Failed to save synced cart:', error));
+  }, [adapter, commitIncoming]);
+
+  // Sync starts once the local cart is loaded, so signing in merges the real cart
+  useEffect(() => {
+    if (!sync || !loaded) return;
+    return sync.connect({
+      getState: () => stateRef.current,
+      onServerState: adoptServerState,
+      onStatus: setSyncStatus,
+    });
+  }, [sync, loaded, adoptServerState]);
+
+  const travel = useCallback((step, direction) => {
+    if (loadingRef.current || !step) return;
+    const mutation = dispatch({ type: APPLY_PATCH, patch: step.command[direction] });
+    if (mutation) Object.assign(mutation, { command: step.command, direction });
+    commitHistory(step.history);
+    setLastChange(null);
+  }, [dispatch, commitHistory]);
+
+  // Current product data to check the lines against: the cached catalog first,
+  // then every refresh
+  useEffect(() => {
+    if (!catalog) return;
+    let active = true;
+    let refreshed = false;
+
+    catalog.readCache()
+      .then(cached => {
+        if (active && !refreshed) setProducts(cached.products);
+      })
+      .catch(error => console.error('Failed to read catalog cache:', error));
+
+    const unsubscribe = catalog.subscribe?.(fresh => {
+      refreshed = true;
+      if (active) setProducts(fresh);
+    });
+    const interval = setInterval(() => {
+      catalog.refresh().catch(error => console.error('Failed to refresh catalog:', error));
+    }, refreshInterval);
+
+    return () => {
+      active = false;
+      unsubscribe?.();
+      clearInterval(interval);
+    };
+  }, [catalog, refreshInterval]);
+
+  // Empties a stored cart left alone for longer than `ttl`. Checked once per
+  // load, so undoing the expiry keeps the cart.
+  useEffect(() => {
+    if (loaded && isCartExpired(stateRef.current, ttl, Date.now())) {
+      dispatch({ type: EXPIRE_CART });
+    }
+  }, [loaded, ttl, dispatch]);
+
+  // Price and availability changes waiting for the user to accept them
+  const pendingChanges = useMemo(() => findCartChanges(state.items, products), [state.items, products]);
+
+  // Stock-checked mutations resolve to { ok: true } or { ok: false, error },
+  // so the UI can say why a change was rejected
+  const dispatchChecked = useCallback((action) => {
+    const result = validateCartAction(stateRef.current, action);
+    if (result.ok) dispatch(action);
+    return result;
+  }, [dispatch]);
+
+  const addItem = useCallback(
+    (product, options) => dispatchChecked({ type: ADD_ITEM, product, options, addedAt: Date.now() }),
+    [dispatchChecked]
+  );
+  const updateQuantity = useCallback(
+    (lineId, quantity) => dispatchChecked({ type: UPDATE_QUANTITY, lineId, quantity, updatedAt: Date.now() }),
+    [dispatchChecked]
+  );
+
+  // Adds a past order's lines back with current product data (see checkout/reorder.js)
+  const reorder = useCallback((order) => reorderLines(order, products, {
+    addItem,
+    updateQuantity,
+    quantityOf: (lineId) => stateRef.current.items.find(item => item.id === lineId)?.quantity ?? 0,
+  }), [products, addItem, updateQuantity]);
+
+  // Adds an imported or shared cart to this one ('merge') or puts it in its
+  // place ('replace') as one undoable change. Quantities are cut to what
+  // stock and purchase limits allow and unknown coupon codes are dropped.
+  // Returns { ok: true, added, limited } with `limited` as in fitImportedLines.
+  const importCart = useCallback((cart, mode = 'merge') => {
+    if (loadingRef.current) {
+      return { ok: false, error: { code: 'CART_LOADING', message: 'Your cart is still loading' } };
+    }
+    const { lines, limited } = fitImportedLines(stateRef.current.items, cart.items ?? [], mode);
+    const coupons = (cart.coupons ?? []).reduce((accepted, code) => {
+      const result = validateCoupon(code, accepted, promotions);
+      return result.ok ? [...accepted, result.code] : accepted;
+    }, mode === 'merge' ? stateRef.current.coupons : []);
+    dispatch({ type: IMPORT_CART, mode, cart: { ...cart, items: lines, coupons }, importedAt: Date.now() });
+    return { ok: true, added: lines.length, limited };
+  }, [promotions, dispatch]);
+
+  // Recomputed whenever the lines or any cart attribute change
+  const totals = useMemo(
+    () => calculateOrderTotals(state, { promotions, currency, rates, taxTables, shippingMethods, defaultRegion }),
+    [state, promotions, currency, rates, taxTables, shippingMethods, defaultRegion]
+  );
+
+  // Turns the cart into an order, stores it and empties the cart. Resolves to
+  // { ok: true, order } or { ok: false, error: { code, message, fields } }
+  // with `fields` the invalid checkout details by name.
+  const placeOrder = useCallback(async (details) => {
+    const fail = (code, message, fields = {}) => ({ ok: false, error: { code, message, fields } });
+    const current = stateRef.current;
+    if (!orders) return fail('NO_ORDER_STORE', 'Checkout is not available');
+    if (loadingRef.current || current.items.length === 0) return fail('EMPTY_CART', 'Your cart is empty');
+    if (findCartChanges(current.items, products).length > 0) {
+      return fail('CART_CHANGED', 'Some items changed in the catalog; review them before ordering');
+    }
+    const fields = validateCheckout(details);
+    if (Object.keys(fields).length > 0) return fail('INVALID_DETAILS', 'Check the highlighted fields', fields);
+
+    const orderTotals = calculateOrderTotals(current, {
+      promotions, currency, rates, taxTables, shippingMethods, defaultRegion,
+    });
+    const order = createOrder(current, orderTotals, details, { currency, rates });
+    try {
+      await orders.add(order);
+    } catch (error) {
+      console.error('Failed to save order:', error);
+      return fail('ORDER_FAILED', 'The order could not be saved; please try again');
+    }
+    dispatch({ type: PLACE_ORDER, orderId: order.id });
+    return { ok: true, order };
+  }, [orders, products, promotions, currency, rates, taxTables, shippingMethods, defaultRegion, dispatch]);
+
+  const value = useMemo(() => ({
+    items: state.items,
+    loading,
+    storage: adapter.name,
+    // Strategy actually storing the cart; differs from `storage` after a fallback
+    storageMode: storageStatus.mode,
+    error: storageStatus.error,
+    dismissError: () => setStorageStatus(prev => ({ ...prev, error: null })),
+    addItem,
+    updateQuantity,
+    removeItem: (lineId) => dispatch({ type: REMOVE_ITEM, lineId }),
+    clearCart: () => dispatch({ type: CLEAR_CART }),
+    pendingChanges,
+    acceptChanges: () => dispatch({ type: ACCEPT_CHANGES, changes: pendingChanges, acceptedAt: Date.now() }),
+    saved: state.saved,
+    saveForLater: (lineId) => dispatch({ type: SAVE_FOR_LATER, lineId, addedAt: Date.now() }),
+    moveToCart: (lineId) => dispatchChecked({ type: MOVE_TO_CART, lineId, addedAt: Date.now() }),
+    addToWishlist: (product, options) => dispatch({ type: ADD_TO_WISHLIST, product, options, addedAt: Date.now() }),
+    removeSaved: (lineId) => dispatch({ type: REMOVE_SAVED, lineId }),
+    undo: () => travel(undoHistory(historyRef.current), 'undo'),
+    redo: () => travel(redoHistory(historyRef.current), 'redo'),
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoLabel: history.past[history.past.length - 1]?.label ?? null,
+    redoLabel: history.future[0]?.label ?? null,
+    lastChange,
+    coupons: state.coupons,
+    // Resolves to { ok: true } or { ok: false, error: { code, message } }
+    applyCoupon: (input) => {
+      const result = validateCoupon(input, stateRef.current.coupons, promotions);
+      if (result.ok) dispatch({ type: APPLY_COUPON, code: result.code });
+      return result;
+    },
+    removeCoupon: (code) => dispatch({ type: REMOVE_COUPON, code: normalizeCouponCode(code) }),
+    region: totals.region,
+    regions: Object.entries(taxTables).map(([code, { name }]) => ({ code, name })),
+    setRegion: (region) => dispatch({ type: SET_REGION, region }),
+    shippingMethod: totals.shipping.method,
+    shippingMethods: totals.shippingMethods,
+    setShippingMethod: (methodId) => dispatch({ type: SET_SHIPPING_METHOD, methodId }),
+    // { status: 'idle' | 'pending' | 'synced' | 'error', user, pending, error, retryAt }
+    syncStatus,
+    login: (user) => sync?.login(user),
+    logout: () => sync?.logout(),
+    canCheckout: Boolean(orders),
+    placeOrder,
+    // Returns { added, unavailable }; see checkout/reorder.js
+    reorder,
+    // 'json' or 'csv' text of the cart; see sharing/cartTransfer.js
+    exportCart: (format) => (format === 'csv' ? exportCartCSV : exportCartJSON)(stateRef.current),
+    importCart,
+    createShareLink: () => createShareLink(stateRef.current),
+    // Returns { lines, unavailable } for a shared cart; see sharing/shareLink.js
+    previewSharedCart: (share) => resolveSharedCart(share, products),
+    currency,
+    currencies: Object.keys(rates),
+    setCurrency,
+    formatPrice: (price) => formatMoney(convertMoney(toMoney(price), currency, rates), locale),
+    subtotal: cartTotal(state.items, currency, rates),
+    totals,
+    total: totals.grandTotal,
+  }), [state, loading, adapter, storageStatus, dispatch, dispatchChecked, travel, history, lastChange, pendingChanges, syncStatus, sync, orders, placeOrder, reorder, importCart, products, addItem, updateQuantity, currency, locale, rates, promotions, taxTables, totals]);
+
+  return (
+    <CartContext.Provider value={value}>
+      {children}
+    </CartContext.Provider>
+  );
+};
+
+export default CartProvider;
@@ -0,0 +1,57 @@
+import { useState, useEffect, useMemo } from 'react';
+import { MultiCartContext } from './MultiCartContext.js';
+import CartProvider from './CartProvider.jsx';
+
+// Several named carts from a `createCartRegistry` registry. Renders a
+// CartProvider for the cart open in this tab, remounted on every switch so
+// each cart loads from its own adapter; any other props go to CartProvider.
+const MultiCartProvider = ({ registry, children, ...cartProps }) => {
+  const [carts, setCarts] = useState(registry.list);
+  const [activeId, setActiveId] = useState(registry.activeId);
+  // Bumped after an unlock, so the open cart is read again with the new key
+  const [unlocks, setUnlocks] = useState(0);
+
+  useEffect(() => {
+    const update = () => {
+      setCarts(registry.list());
+      setActiveId(registry.activeId());
+    };
+    update();
+    return registry.subscribe(update);
+  }, [registry]);
+
+  const value = useMemo(() => ({
+    carts,
+    activeCart: carts.find(cart => cart.id === activeId) ?? carts[0],
+    switchCart: (id) => registry.setActive(id),
+    createCart: (name) => registry.create(name),
+    renameCart: (id, name) => registry.rename(id, name),
+    duplicateCart: (id, name) => registry.duplicate(id, name),
+    // Resolves to false when `id` is the last cart
+    deleteCart: (id) => registry.remove(id),
+    encrypted: registry.encrypted,
+    passphraseProtected: registry.passphraseProtected,
+    rotateEncryptionKey: (...args) => registry.rotateKey(...args),
+    // Resolves to false when the secret does not fit the stored key
+    unlockEncryption: async (...args) => {
+      const unlocked = await registry.unlockKey(...args);
+      if (unlocked) setUnlocks(count => count + 1);
+      return unlocked;
+    },
+  }), [registry, carts, activeId]);
+
+  return (
+    <MultiCartContext.Provider value={value}>
+      <CartProvider
+        key={`${activeId}:${unlocks}`}
+        adapter={registry.adapterFor(activeId)}
+        sync={registry.syncFor(activeId)}
+        {...cartProps}
+      >
+        {children}
+      </CartProvider>
+    </MultiCartContext.Provider>
+  );
+};
+
+export default MultiCartProvider;
@@ -0,0 +1,357 @@
+import { openDatabase, deleteDatabase, promisifyRequest, transactionDone } from '../idb.js';
+import { cartScopedName } from '../cartSchema.js';
+import { isSealed, openValue, sealValue } from '../encryption/cartCrypto.js';
+import { CORRUPT_DATA } from './storageSupport.js';
+import { cartReducer, initialCartState, HYDRATE } from '../cartReducer.js';
+import { createTabChannel } from '../coordination/tabChannel.js';
+import { createTabLeader } from '../coordination/tabLeader.js';
+
+const SEALED_STORE = 'sealed';
+
+const VAULT_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the sealed payload store',
+    migrate: ({ db }) => {
+      db.createObjectStore(SEALED_STORE, { keyPath: 'key' });
+    },
+  },
+];
+
+// Storage names of the plain adapters, so each strategy seals next to them
+const DEFAULT_DB_NAMES = { indexeddb: 'ShoppingCartDB', hybrid: 'HybridCartDB' };
+const DEFAULT_CHANNEL_NAMES = { indexeddb: 'shopping-cart', hybrid: 'hybrid-cart' };
+
+// Every sealed payload has an IV of its own, so it tells one write from another
+const samePayload = (a, b) => (a?.iv ?? null) === (b?.iv ?? null);
+
+// Both vaults offer `replace(name, expected, payload)`, which writes `payload`
+// only while `expected` is still the stored payload and resolves to whether it did
+
+// Sealed payloads by name ('cart' or 'history', and the plain `migrated`
+// marker) in localStorage
+const createLocalVault = (key) => {
+  const keys = { cart: `${key}:sealed`, history: `${key}:sealed-history`, migrated: `${key}:sealed-migrated` };
+  const get = async (name) => {
+    const raw = localStorage.getItem(keys[name]);
+    try {
+      return raw === null ? null : JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  };
+  return {
+    get,
+    set: async (name, payload) => {
+      localStorage.setItem(keys[name], JSON.stringify(payload));
+    },
+    // Nothing runs between reading and writing here, so no other tab can
+    replace: async (name, expected, payload) => {
+      if (!samePayload(await get(name), expected)) return false;
+      localStorage.setItem(keys[name], JSON.stringify(payload));
+      return true;
+    },
+    remove: async (name) => {
+      localStorage.removeItem(keys[name]);
+    },
+    destroy: async () => {
+      Object.values(keys).forEach(storageKey => localStorage.removeItem(storageKey));
+    },
+  };
+};
+
+// Sealed payloads by name in a database of their own
+const createIndexedDBVault = (dbName) => {
+  let dbPromise = null;
+
+  const getDB = () => {
+    if (!dbPromise) dbPromise = openDatabase(dbName, VAULT_MIGRATIONS);
+    return dbPromise;
+  };
+
+  const write = async (apply) => {
+    const transaction = (await getDB()).transaction(SEALED_STORE, 'readwrite');
+    apply(transaction.objectStore(SEALED_STORE));
+    await transactionDone(transaction);
+  };
+
+  return {
+    get: async (name) => {
+      const transaction = (await getDB()).transaction(SEALED_STORE, 'readonly');
+      const record = await promisifyRequest(transaction.objectStore(SEALED_STORE).get(name));
+      return record?.value ?? null;
+    },
+    set: (name, payload) => write(store => store.put({ key: name, value: payload })),
+    replace: async (name, expected, payload) => {
+      let replaced = false;
+      await write(store => {
+        const request = store.get(name);
+        request.onsuccess = () => {
+          if (!samePayload(request.result?.value, expected)) return;
+          store.put({ key: name, value: payload });
+          replaced = true;
+        };
+      });
+      return replaced;
+    },
+    remove: (name) => write(store => store.delete(name)),
+    close: async () => {
+      if (dbPromise) (await dbPromise).close();
+      dbPromise = null;
+    },
+    destroy: async () => {
+      if (dbPromise) (await dbPromise).close();
+      dbPromise = null;
+      await deleteDatabase(dbName);
+    },
+  };
+};
+
+const createVault = (storage, location) =>
+  (storage === 'localstorage' ? createLocalVault(location) : createIndexedDBVault(location));
+
+// Where a payload is stored, as keyrings track it (see cartCrypto.js)
+const slotFor = (storage, location, name) => ({ id: `${storage}:${location}:${name}`, storage, location, name });
+
+// Re-encrypts every payload the keyring tracks that is not sealed with its
+// current key, whichever cart, registry or tab wrote it, then lets the keyring
+// prune the keys nothing uses any more. A payload another tab writes
+// meanwhile is left to that write.
+export const resealStoredPayloads = async (keyring) => {
+  if (!keyring.slots) return;
+  const { id: currentId } = await keyring.current();
+  for (const slot of await keyring.slots()) {
+    if (slot.kid === currentId) continue;
+    const vault = createVault(slot.storage, slot.location);
+    try {
+      const payload = await vault.get(slot.name);
+      if (!isSealed(payload)) {
+        await keyring.untrack(slot.id);
+      } else if (payload.kid === currentId) {
+        await keyring.track(slot, currentId);
+      } else {
+        const sealed = await sealValue(keyring, await openValue(keyring, payload));
+        if (await vault.replace(slot.name, payload, sealed)) await keyring.track(slot, sealed.kid);
+      }
+    } catch (error) {
+      console.error('Failed to reseal a stored cart:', error);
+    } finally {
+      await vault.close?.();
+    }
+  }
+  await keyring.prune?.();
+};
+
+// Encrypted variant of a storage strategy: the cart state and the undo
+// history are each sealed whole with AES-GCM (see encryption/cartCrypto.js)
+// under a key from `keyring`. The localStorage strategy seals into
+// `<key>:sealed`; the IndexedDB and hybrid strategies seal into a
+// `<dbName>:sealed` database and tell other tabs over a BroadcastChannel
+// (see coordination/tabChannel.js). Only the leader tab elected by
+// createTabLeader writes that database; other tabs hand it their saves over
+// the channel, which never leaves the browser.
+// Decryption is asynchronous, so there is no `peek`.
+//
+// A save opens the cart stored now and replays its action there with the
+// reducer before sealing, so a change another tab saved meanwhile is kept
+// rather than overwritten. A HYDRATE replaces the stored cart.
+//
+// A cart stored unencrypted by `createPlainAdapter()` is sealed on first load
+// and the plain copy deleted. A `migrated` marker in the vault records that
+// this happened, so later loads of an empty cart leave the plain storage
+// alone. A cart that cannot be decrypted is never overwritten: saves fail
+// with the DECRYPT_FAILED error until the right key is used. `reseal()`
+// re-encrypts the stored cart with the current key.
+export const createEncryptedAdapter = (strategy, {
+  keyring,
+  createPlainAdapter,
+  key: baseKey = 'shopping-cart',
+  dbName: baseDbName = DEFAULT_DB_NAMES[strategy],
+  channelName: baseChannelName = DEFAULT_CHANNEL_NAMES[strategy],
+  cartId,
+  onRecover,
+}) => {
+  const local = strategy === 'localstorage';
+  const channelName = `${cartScopedName(baseChannelName, cartId)}:${SEALED_STORE}`;
+  const storage = local ? 'localstorage' : 'indexeddb';
+  const location = local ? cartScopedName(baseKey, cartId) : `${cartScopedName(baseDbName, cartId)}:${SEALED_STORE}`;
+  const storedVault = createVault(storage, location);
+  let tabs = null;
+
+  // Tells the keyring which key the payload under `name` is sealed with, so
+  // that key is kept until the payload is resealed
+  const track = async (name, payload) => {
+    if (isSealed(payload)) await keyring.track?.(slotFor(storage, location, name), payload.kid);
+  };
+
+  const untrack = (name) => keyring.untrack?.(slotFor(storage, location, name).id);
+
+  // The channel and the election start with the first use of the adapter;
+  // the leader writes the payloads every tab sealed
+  const coordination = () => {
+    if (!tabs) {
+      const channel = createTabChannel(channelName);
+      const leader = createTabLeader(channel, { lockName: `${channelName}:vault-leader`, onRequest: write });
+      tabs = { channel, leader };
+    }
+    return tabs;
+  };
+
+  // Writes go through the leader, or straight to localStorage
+  const request = (body) => (local ? write(body) : coordination().leader.request(body));
+
+  const vault = {
+    ...storedVault,
+    set: (name, payload) => request({ op: 'set', name, payload }),
+    remove: (name) => request({ op: 'remove', name }),
+  };
+  let lockError = null;
+  // Reads and writes run one at a time, so a reseal never races a save
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // The writes this tab stores, its own and (as leader) other tabs', one at a
+  // time so a save reads what the one before it wrote
+  let writing = Promise.resolve();
+
+  const serialize = (task) => {
+    const run = writing.then(task);
+    writing = run.catch(() => {});
+    return run;
+  };
+
+  // Decrypted payload, or null when there is none. A payload that is not
+  // sealed at all is damaged and removed.
+  const open = async (name) => {
+    const payload = await vault.get(name);
+    if (payload == null) return null;
+    if (!isSealed(payload)) {
+      await vault.remove(name);
+      if (name === 'cart') {
+        onRecover?.({ code: CORRUPT_DATA, message: 'Your saved cart was damaged and could not be restored.' });
+      }
+      return null;
+    }
+    await track(name, payload);
+    return openValue(keyring, payload);
+  };
+
+  const seal = async (name, value) => vault.set(name, await sealValue(keyring, value));
+
+  // Reads the stored cart, replays `action` on it and seals the result; done
+  // again when another tab wrote while it was being sealed
+  const mergeCart = async (next, action) => {
+    let replaced = false;
+    while (!replaced) {
+      const payload = await storedVault.get('cart');
+      let result = next;
+      if (action && action.type !== HYDRATE && isSealed(payload)) {
+        const stored = await openValue(keyring, payload);
+        result = cartReducer(cartReducer(initialCartState, { type: HYDRATE, state: stored }), action);
+      }
+      const sealed = await sealValue(keyring, result);
+      replaced = await storedVault.replace('cart', payload, sealed);
+      if (replaced) await track('cart', sealed);
+    }
+  };
+
+  const write = (body) => serialize(async () => {
+    if (body.op === 'save') return mergeCart(body.next, body.action);
+    if (body.op === 'remove') {
+      await storedVault.remove(body.name);
+      return untrack(body.name);
+    }
+    await storedVault.set(body.name, body.payload);
+    return track(body.name, body.payload);
+  });
+
+  // Seals a cart left in plain text and deletes the plain copy
+  const adoptPlainCart = async () => {
+    const plain = createPlainAdapter();
+    const state = await plain.load();
+    if (state) {
+      const history = await plain.loadHistory?.();
+      await seal('cart', state);
+      if (history) await seal('history', history);
+    }
+    await vault.set('migrated', true);
+    await plain.destroy?.();
+    return state;
+  };
+
+  const readState = async () => {
+    if (await vault.get('cart') == null) {
+      return (await vault.get('migrated')) ? null : adoptPlainCart();
+    }
+    try {
+      const state = await open('cart');
+      lockError = null;
+      return state;
+    } catch (error) {
+      lockError = error;
+      throw error;
+    }
+  };
+
+  // A history that cannot be decrypted only costs undo
+  const readHistory = async () => {
+    try {
+      return await open('history');
+    } catch (error) {
+      console.error('Ignoring cart history that could not be decrypted:', error);
+      return null;
+    }
+  };
+
+  return {
+    name: strategy,
+    load: () => enqueue(readState),
+    save: (next, prev, action) => enqueue(async () => {
+      if (lockError) throw lockError;
+      // The leader seals, but a tab whose key no longer fits is locked all the same
+      await keyring.current();
+      await request({ op: 'save', next, action });
+      tabs?.channel.post({ type: 'CART_UPDATED' });
+    }),
+    loadHistory: () => enqueue(readHistory),
+    saveHistory: (history) => enqueue(async () => {
+      if (!lockError) await seal('history', history);
+    }),
+    reseal: () => enqueue(async () => {
+      const state = await readState();
+      const history = await readHistory();
+      if (state) await seal('cart', state);
+      if (history) await seal('history', history);
+    }),
+    close: () => enqueue(async () => {
+      tabs?.leader.close();
+      tabs?.channel.close();
+      tabs = null;
+      await storedVault.close?.();
+    }),
+    destroy: () => enqueue(async () => {
+      lockError = null;
+      tabs?.leader.close();
+      tabs?.channel.close();
+      tabs = null;
+      await vault.destroy();
+      await Promise.all(['cart', 'history'].map(untrack));
+    }),
+    ...(!local && {
+      subscribe: (onChange) => coordination().channel.subscribe(async (message) => {
+        if (message.type !== 'CART_UPDATED') return;
+        try {
+          const state = await enqueue(readState);
+          if (state) onChange(state);
+        } catch (error) {
+          console.error('Failed to reload cart:', error);
+        }
+      }),
+    }),
+  };
+};
@@ -0,0 +1,137 @@
+import { initialCartState, HYDRATE } from '../cartReducer.js';
+import { describeStorageError, isStorageAvailable, DECRYPT_FAILED } from './storageSupport.js';
+
+// Strategies tried in turn for each requested strategy
+export const FALLBACK_CHAINS = {
+  hybrid: ['hybrid', 'indexeddb', 'localstorage', 'memory'],
+  indexeddb: ['indexeddb', 'localstorage', 'memory'],
+  localstorage: ['localstorage', 'memory'],
+  memory: ['memory'],
+};
+
+// Runs a cart on the first strategy in `strategies` that works here and moves
+// down the chain when one fails: storage that is blocked or missing, an
+// `indexedDB.open` that is denied, or a write that runs out of quota. The
+// cart in hand is saved to the next storage so nothing is lost.
+// `createAdapter(strategy, { onRecover })` creates the adapter for a strategy.
+//
+// On top of the adapter interface (see index.js) it reports
+//   storageStatus()                   { mode, error } with `mode` the strategy in use
+//   subscribeStorageStatus(listener)  status changes; returns unsubscribe
+// where `error` is { code, message } for the last failure or recovery.
+export const createFallbackAdapter = (strategies, createAdapter) => {
+  const statusListeners = new Set();
+  // onChange -> unsubscribe from the adapter in use
+  const changeListeners = new Map();
+  const created = [];
+  let index = -1;
+  let current = null;
+  let status = { mode: null, error: null };
+
+  const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    statusListeners.forEach(listener => listener(status));
+  };
+
+  const report = (error) => setStatus({ error });
+
+  // Switches to the first available strategy from `from` on. `cause` is the
+  // error that made the previous one fail, if any.
+  const switchTo = (from, cause) => {
+    let next = from;
+    while (next < strategies.length - 1 && !isStorageAvailable(strategies[next])) next += 1;
+
+    changeListeners.forEach(unsubscribe => unsubscribe?.());
+    // The abandoned adapter must not win elections or take other tabs' writes
+    if (current?.close) current.close().catch(error => console.error('Failed to close cart storage:', error));
+    index = next;
+    current = createAdapter(strategies[next], { onRecover: report });
+    created.push(current);
+    changeListeners.forEach((_, onChange) => changeListeners.set(onChange, current.subscribe?.(onChange)));
+
+    if (cause === undefined && next === from) {
+      setStatus({ mode: strategies[next] });
+    } else {
+      // Blocked storage is skipped without an error of its own
+      const failed = cause === undefined ? strategies[from] : strategies[from - 1];
+      setStatus({ mode: strategies[next], error: describeStorageError(cause ?? null, failed, strategies[next]) });
+    }
+  };
+
+  // A cart that cannot be decrypted is still there, so it is not given up
+  const canFallBack = (error) => index < strategies.length - 1 && error?.code !== DECRYPT_FAILED;
+
+  const fallBack = (error) => {
+    console.error(`Cart storage "${strategies[index]}" failed:`, error);
+    switchTo(index + 1, error);
+  };
+
+  switchTo(0);
+  const first = current;
+
+  // A call that fails on an adapter the chain already left is retried on the
+  // one in use, without falling back once more
+  const save = async (next, prev, action) => {
+    const adapter = current;
+    try {
+      await adapter.save(next, prev, action);
+    } catch (error) {
+      if (adapter === current) {
+        if (!canFallBack(error)) throw error;
+        fallBack(error);
+      }
+      // The next storage starts out empty, so it gets the whole cart
+      await save(next, initialCartState, { type: HYDRATE, state: next });
+    }
+  };
+
+  const load = async () => {
+    const adapter = current;
+    try {
+      return await adapter.load();
+    } catch (error) {
+      if (adapter === current) {
+        if (!canFallBack(error)) throw error;
+        fallBack(error);
+      }
+      return load();
+    }
+  };
+
+  return {
+    name: strategies[0],
+    // Only offered when the first adapter can render synchronously, since the
+    // provider waits for `load()` otherwise
+    ...(first.peek && {
+      peek: () => {
+        try {
+          return current.peek?.() ?? null;
+        } catch (error) {
+          console.error('Failed to read cart:', error);
+          return null;
+        }
+      },
+    }),
+    load,
+    save,
+    loadHistory: async () => current.loadHistory?.() ?? null,
+    saveHistory: async (history) => current.saveHistory?.(history),
+    reseal: async () => current.reseal?.(),
+    close: async () => current.close?.(),
+    destroy: async () => {
+      await Promise.all(created.map(adapter => adapter.destroy?.()));
+    },
+    subscribe: (onChange) => {
+      changeListeners.set(onChange, current.subscribe?.(onChange));
+      return () => {
+        changeListeners.get(onChange)?.();
+        changeListeners.delete(onChange);
+      };
+    },
+    storageStatus: () => status,
+    subscribeStorageStatus: (listener) => {
+      statusListeners.add(listener);
+      return () => statusListeners.delete(listener);
+    },
+  };
+};
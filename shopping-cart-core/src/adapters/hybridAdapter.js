@@ -0,0 +1,342 @@
+import { openDatabase, deleteDatabase, getAllRecords, promisifyRequest, transactionDone } from '../idb.js';
+import {
+  cartScopedName,
+  createCartMigrations,
+  isValidLine,
+  parseStoredCart,
+  ATTRIBUTES_KEY,
+  META_STORE,
+  SAVED_STORE,
+} from '../cartSchema.js';
+import { sameAttributes, cartAttributes } from '../cartReducer.js';
+import { createCartReplica, compareStamps, lineFromItem, mergeLine } from '../cartReplica.js';
+import { createJournal, findJournalKeys } from '../journal.js';
+import { CORRUPT_DATA } from './storageSupport.js';
+import { createTabChannel } from '../coordination/tabChannel.js';
+import { createTabLeader } from '../coordination/tabLeader.js';
+
+// Records written before lines were versioned are plain cart items
+const asLine = (record) => (record.base ? record : lineFromItem(record));
+
+// Hybrid strategy: localStorage for a fast first render, IndexedDB as the
+// durable copy, BroadcastChannel for other tabs.
+// Each tab keeps a conflict-free replica of the cart lines and attributes,
+// and another of the saved-for-later lines (see cartReplica.js), so concurrent edits in different tabs merge instead
+// of overwriting. Changes go to a per-tab write-ahead journal first and reach
+// IndexedDB in batched flushes; unflushed entries are replayed by
+// whichever tab leads next.
+// Only the leader tab (see tabLeader.js) writes IndexedDB: other tabs hand
+// their journal entries to it and drop them once it has stored them.
+// A damaged localStorage copy is dropped and reported through `onRecover`.
+export const createHybridAdapter = ({
+  key: baseKey = 'shopping-cart',
+  dbName: baseDbName = 'HybridCartDB',
+  storeName = 'cart',
+  channelName: baseChannelName = 'hybrid-cart',
+  syncDelay = 1000,
+  cartId,
+  onRecover,
+} = {}) => {
+  const key = cartScopedName(baseKey, cartId);
+  const dbName = cartScopedName(baseDbName, cartId);
+  const channelName = cartScopedName(baseChannelName, cartId);
+  const replicaKey = `${key}:replica`;
+  const historyKey = `${key}:history`;
+  const journalPrefix = `${key}:journal:`;
+  const replica = createCartReplica(crypto.randomUUID());
+  const savedReplica = createCartReplica(replica.tabId);
+  const journal = createJournal(`${journalPrefix}${replica.tabId}`);
+  const listeners = new Set();
+  let dbPromise = null;
+  let flushTimeout = null;
+  let flushing = Promise.resolve();
+  let takingOver = Promise.resolve();
+  let tabs = null;
+
+  const getDB = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, createCartMigrations({ storeName, legacyKey: key }));
+    }
+    return dbPromise;
+  };
+
+  // Versioned replica from localStorage, falling back to a plain cart
+  const readLocal = () => {
+    try {
+      const stored = localStorage.getItem(replicaKey);
+      if (stored) {
+        const data = JSON.parse(stored);
+        // Before attributes were replicated only the lines were stored
+        return Array.isArray(data) ? { lines: data, saved: [] } : { saved: [], ...data };
+      }
+      const cart = localStorage.getItem(key);
+      return { lines: cart ? (parseStoredCart(cart).items ?? []).filter(isValidLine).map(lineFromItem) : [], saved: [] };
+    } catch (error) {
+      console.error('Failed to parse localStorage data:', error);
+      // IndexedDB still has the cart as of the last flush, so load() restores it
+      localStorage.removeItem(replicaKey);
+      onRecover?.({ code: CORRUPT_DATA, message: 'Your cart was damaged in this tab and has been restored from IndexedDB.' });
+      return { lines: [], saved: [] };
+    }
+  };
+
+  const mergeLocal = () => {
+    const { lines, attributes, saved } = readLocal();
+    replica.merge(lines);
+    replica.mergeAttributes(attributes);
+    savedReplica.merge(saved);
+  };
+
+  const currentState = () => ({ ...replica.state(), saved: savedReplica.items() });
+
+  // Read-merge-write, so changes another tab stored meanwhile are kept.
+  // The plain cart state stays under `key` for readers that expect it.
+  const writeLocal = () => {
+    mergeLocal();
+    localStorage.setItem(replicaKey, JSON.stringify({
+      lines: replica.lines(),
+      attributes: replica.attributes(),
+      saved: savedReplica.lines(),
+    }));
+    localStorage.setItem(key, JSON.stringify(replica.state()));
+  };
+
+  // Applies journal entries in one transaction. Lines are merged with the
+  // stored record and attributes only replace an older register, so journals
+  // from several tabs can be replayed in any order.
+  const applyEntries = async (entries) => {
+    const db = await getDB();
+    const transaction = db.transaction([storeName, SAVED_STORE, META_STORE], 'readwrite');
+    const meta = transaction.objectStore(META_STORE);
+    // Line entries without a store name predate the saved list
+    const puts = { [storeName]: new Map(), [SAVED_STORE]: new Map() };
+    let attributes = null;
+
+    entries.forEach(entry => {
+      const name = entry.store ?? storeName;
+      if (name === META_STORE) {
+        if (!attributes || compareStamps(entry.value.stamp, attributes.stamp) > 0) {
+          attributes = entry.value;
+        }
+      } else if (entry.op === 'delete') {
+        puts[name].delete(entry.key);
+        transaction.objectStore(name).delete(entry.key);
+      } else {
+        puts[name].set(entry.value.id, mergeLine(puts[name].get(entry.value.id), entry.value));
+      }
+    });
+    Object.entries(puts).forEach(([name, lines]) => {
+      const store = transaction.objectStore(name);
+      lines.forEach(line => {
+        const request = store.get(line.id);
+        request.onsuccess = () => {
+          store.put(request.result ? mergeLine(asLine(request.result), line) : line);
+        };
+      });
+    });
+    if (attributes) {
+      const request = meta.get(ATTRIBUTES_KEY);
+      request.onsuccess = () => {
+        if (!request.result?.stamp || compareStamps(attributes.stamp, request.result.stamp) > 0) {
+          meta.put(attributes);
+        }
+      };
+    }
+
+    await transactionDone(transaction);
+  };
+
+  // Goes through the leader, which may be this tab
+  const flushJournal = () => {
+    clearTimeout(flushTimeout);
+    flushing = flushing
+      .then(async () => {
+        const entries = journal.entries();
+        if (entries.length === 0) return;
+        await coordination().leader.request({ entries });
+        journal.acknowledge(entries[entries.length - 1].seq);
+      })
+      .catch(error => console.error('Failed to flush cart journal:', error));
+    return flushing;
+  };
+
+  // Batches bursts of mutations into one IndexedDB transaction
+  const scheduleFlush = () => {
+    clearTimeout(flushTimeout);
+    flushTimeout = setTimeout(flushJournal, syncDelay);
+  };
+
+  // Replays journals left by tabs that closed before flushing. A journal that
+  // changed meanwhile belongs to a live tab, which flushes it itself.
+  // Only the leader runs this.
+  const replayOrphanedJournals = async () => {
+    const orphans = findJournalKeys(journalPrefix).filter(storageKey => storageKey !== journal.storageKey);
+    for (const storageKey of orphans) {
+      const snapshot = localStorage.getItem(storageKey);
+      try {
+        await applyEntries(JSON.parse(snapshot));
+        if (localStorage.getItem(storageKey) === snapshot) {
+          localStorage.removeItem(storageKey);
+        }
+      } catch (error) {
+        console.error('Failed to replay cart journal:', error);
+      }
+    }
+  };
+
+  // Whenever this tab becomes leader, whether at the first election or when
+  // the leader before it closes, it writes what other tabs left behind
+  const takeOver = () => {
+    takingOver = takingOver
+      .then(replayOrphanedJournals)
+      .then(flushJournal)
+      .catch(error => console.error('Failed to take over cart journals:', error));
+  };
+
+  // Flush before the page goes away (on `pagehide` too); anything that misses
+  // it is replayed from the journal next time
+  const flushOnHide = () => {
+    if (document.visibilityState === 'hidden') flushJournal();
+  };
+
+  const emit = () => {
+    const state = currentState();
+    listeners.forEach(listener => listener(state));
+  };
+
+  // An IndexedDB adapter this cart fell back to posts on the same channel,
+  // without the lines
+  const handleMessage = ({ type, lines, attributes, saved = [] }) => {
+    if (type !== 'CART_UPDATED' || !lines) return;
+    // The sending tab journals its own changes; only localStorage needs them here
+    const linesChanged = replica.merge(lines).length > 0;
+    const savedChanged = savedReplica.merge(saved).length > 0;
+    if (!replica.mergeAttributes(attributes) && !linesChanged && !savedChanged) return;
+    writeLocal();
+    emit();
+  };
+
+  // The channel, the election and the page listeners start with the first use
+  // of the adapter; the leader writes whatever journal entries it is handed
+  const coordination = () => {
+    if (!tabs) {
+      if (typeof window !== 'undefined') {
+        window.addEventListener('pagehide', flushJournal);
+        document.addEventListener('visibilitychange', flushOnHide);
+      }
+      const channel = createTabChannel(channelName, replica.tabId);
+      const leader = createTabLeader(channel, {
+        lockName: `${channelName}:hybrid-leader`,
+        onRequest: ({ entries }) => applyEntries(entries),
+      });
+      channel.subscribe(handleMessage);
+      leader.subscribe(leading => {
+        if (leading) takeOver();
+      });
+      tabs = { channel, leader };
+    }
+    return tabs;
+  };
+
+  const stopCoordination = async () => {
+    clearTimeout(flushTimeout);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', flushJournal);
+      document.removeEventListener('visibilitychange', flushOnHide);
+    }
+    await takingOver;
+    await flushing;
+    tabs?.leader.close();
+    tabs?.channel.close();
+    tabs = null;
+  };
+
+  const sameState = (a, b) =>
+    JSON.stringify(a.items) === JSON.stringify(b.items) &&
+    JSON.stringify(a.saved) === JSON.stringify(b.saved) &&
+    sameAttributes(a, b);
+
+  const hasContent = (state) =>
+    state.items.length > 0 || state.saved.length > 0 || Object.keys(cartAttributes(state)).length > 0;
+
+  return {
+    name: 'hybrid',
+    peek: () => {
+      mergeLocal();
+      const state = currentState();
+      return hasContent(state) ? state : null;
+    },
+    load: async () => {
+      const { leader } = coordination();
+      await leader.ready;
+      if (leader.isLeader()) {
+        await takingOver;
+      } else {
+        // Waits on the leader's next flush; IndexedDB without these entries
+        // still merges into what this tab has
+        flushJournal();
+      }
+      const db = await getDB();
+      const records = await getAllRecords(db, storeName);
+      const savedRecords = await getAllRecords(db, SAVED_STORE);
+      const attributes = await promisifyRequest(
+        db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(ATTRIBUTES_KEY)
+      );
+      replica.merge(records.map(asLine));
+      replica.mergeAttributes(attributes?.stamp ? attributes : null);
+      savedReplica.merge(savedRecords);
+      // Keep localStorage in step with what IndexedDB added
+      writeLocal();
+      const state = currentState();
+      return hasContent(state) ? state : null;
+    },
+    save: async (next, prev, action) => {
+      const changed = replica.applyChange(prev.items, next.items, action);
+      const savedChanged = savedReplica.applyChange(prev.saved, next.saved);
+      const entries = [
+        ...changed.map(line => ({ op: 'put', value: line })),
+        ...savedChanged.map(line => ({ op: 'put', store: SAVED_STORE, value: line })),
+      ];
+      let attributes;
+      if (!sameAttributes(prev, next)) {
+        attributes = replica.setAttributes(cartAttributes(next));
+        entries.push({ op: 'put', store: META_STORE, value: { key: ATTRIBUTES_KEY, ...attributes } });
+      }
+
+      journal.append(entries);
+      writeLocal();
+      scheduleFlush();
+      coordination().channel.post({ type: 'CART_UPDATED', lines: changed, attributes, saved: savedChanged });
+      // Edits merged in from other tabs since `prev` show up here
+      if (!sameState(currentState(), next)) emit();
+    },
+    // Undo history only needs to survive a reload, so localStorage is enough
+    loadHistory: async () => {
+      const stored = localStorage.getItem(historyKey);
+      return stored ? JSON.parse(stored) : null;
+    },
+    saveHistory: async (history) => {
+      localStorage.setItem(historyKey, JSON.stringify(history));
+    },
+    // Unflushed journal entries stay behind for the next leader to replay
+    close: async () => {
+      await stopCoordination();
+      if (dbPromise) (await dbPromise).close();
+      dbPromise = null;
+    },
+    // Removes the cart everywhere, including journals of other tabs
+    destroy: async () => {
+      await stopCoordination();
+      [key, replicaKey, historyKey, ...findJournalKeys(journalPrefix)]
+        .forEach(storageKey => localStorage.removeItem(storageKey));
+      if (dbPromise) (await dbPromise).close();
+      dbPromise = null;
+      await deleteDatabase(dbName);
+    },
+    subscribe: (onChange) => {
+      coordination();
+      listeners.add(onChange);
+      return () => listeners.delete(onChange);
+    },
+  };
+};
@@ -0,0 +1,78 @@
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { createLocalStorageAdapter } from './localStorageAdapter.js';
+import { createIndexedDBAdapter } from './indexedDBAdapter.js';
+import { createHybridAdapter } from './hybridAdapter.js';
+import { createFallbackAdapter, FALLBACK_CHAINS } from './fallbackAdapter.js';
+import { createEncryptedAdapter, resealStoredPayloads } from './encryptedAdapter.js';
+
+// Every adapter implements the same interface:
+//   name                     strategy identifier
+//   peek()                   optional, synchronous initial state (or null)
+//   load()                   resolves to the persisted state (or null)
+//   save(next, prev, action) persists a state produced by the cart reducer
+//   subscribe(onChange)      optional, reports changes made elsewhere; returns unsubscribe
+//   loadHistory()            optional, resolves to the persisted undo history (or null)
+//   saveHistory(history)     optional, persists the undo history
+//   close()                  optional, lets go of channels, tab leadership and page
+//                            listeners, keeping what is stored
+//   destroy()                optional, deletes everything the adapter stored
+//   reseal()                 optional, re-encrypts the stored cart with the current key
+// Adapters take a `cartId` option to keep each named cart in its own storage,
+// and an optional `onRecover({ code, message })` called when damaged stored
+// data was discarded. With an `encryption` keyring option every persistent
+// strategy stores its cart encrypted (see encryptedAdapter.js).
+const STRATEGIES = {
+  memory: createMemoryAdapter,
+  localstorage: createLocalStorageAdapter,
+  indexeddb: createIndexedDBAdapter,
+  hybrid: createHybridAdapter,
+};
+
+export const CART_STRATEGIES = Object.keys(STRATEGIES);
+
+// Storage names each persistent strategy takes, with their defaults
+const DEFAULT_STORAGE_NAMES = {
+  localstorage: { key: 'shopping-cart' },
+  indexeddb: { dbName: 'ShoppingCartDB', channelName: 'shopping-cart' },
+  hybrid: { key: 'shopping-cart', dbName: 'HybridCartDB', channelName: 'hybrid-cart' },
+};
+
+// Options for `fallback` in the chain of a cart that asked for `strategy`.
+// A fallback stores under names of its own, `<name>:<fallback>`, so it never
+// opens storage laid out by another strategy: an IndexedDB adapter would take
+// the hybrid's replica records for damaged lines and delete them.
+export const fallbackOptions = (strategy, fallback, options = {}) => {
+  if (fallback === strategy) return options;
+  const names = Object.keys(DEFAULT_STORAGE_NAMES[fallback] ?? {}).map(name => {
+    const base = options[name] ?? DEFAULT_STORAGE_NAMES[strategy]?.[name] ?? DEFAULT_STORAGE_NAMES[fallback][name];
+    return [name, `${base}:${fallback}`];
+  });
+  return { ...options, ...Object.fromEntries(names) };
+};
+
+// Adapter for `strategy` that falls back to simpler storage when the
+// preferred one is unavailable or full (see fallbackAdapter.js)
+export const createCartAdapter = (strategy, options) => {
+  if (!STRATEGIES[strategy]) {
+    throw new Error(`Unknown cart storage strategy: ${strategy}`);
+  }
+  return createFallbackAdapter(FALLBACK_CHAINS[strategy], (fallback, extraOptions) => {
+    const adapterOptions = { ...fallbackOptions(strategy, fallback, options), ...extraOptions };
+    const createPlainAdapter = () => STRATEGIES[fallback](adapterOptions);
+    return options?.encryption && fallback !== 'memory'
+      ? createEncryptedAdapter(fallback, { ...adapterOptions, keyring: options.encryption, createPlainAdapter })
+      : createPlainAdapter();
+  });
+};
+
+export {
+  createMemoryAdapter,
+  createLocalStorageAdapter,
+  createIndexedDBAdapter,
+  createHybridAdapter,
+  createFallbackAdapter,
+  createEncryptedAdapter,
+  resealStoredPayloads,
+  FALLBACK_CHAINS,
+};
+export * from './storageSupport.js';
@@ -0,0 +1,298 @@
+import { openDatabase, deleteDatabase, promisifyRequest, transactionDone } from '../idb.js';
+import {
+  cartScopedName,
+  createCartMigrations,
+  LEGACY_STORAGE_KEY,
+  readCartAttributes,
+  readCartLines,
+  sortCartLines,
+  APPLIED_KEY,
+  APPLIED_LIMIT,
+  ATTRIBUTES_KEY,
+  HISTORY_KEY,
+  META_STORE,
+  SAVED_STORE,
+  sanitizeStoredCart,
+} from '../cartSchema.js';
+import { CORRUPT_DATA } from './storageSupport.js';
+import { cartReducer, cartAttributes, sameAttributes, initialCartState, HYDRATE } from '../cartReducer.js';
+import { diffItems } from '../itemDiff.js';
+import { createTabChannel } from '../coordination/tabChannel.js';
+import { createTabLeader } from '../coordination/tabLeader.js';
+
+// IndexedDB strategy: asynchronous, one record per cart line and per saved
+// line (in their own stores) plus one for the cart attributes, other tabs are told to re-read the store over a BroadcastChannel.
+// Damaged records are deleted and reported through `onRecover({ code, message })`.
+//
+// Saves go through a queue. Each transaction takes every save queued so far,
+// reads the stored cart and replays their actions on it with the reducer, so
+// an increment made in another tab in the meantime is added to rather than
+// overwritten. A HYDRATE replaces the stored cart with its state. When the
+// transaction fails, every save in it is rejected and nothing is written.
+//
+// Only one tab writes: the leader elected by createTabLeader. Other tabs
+// forward their saves to it over the cart's channel and settle when it has
+// stored them. Every save keeps the id of its request when it is sent again to
+// a new leader or written by its own tab after all, and the ids written are
+// kept with the cart, so it counts once.
+export const createIndexedDBAdapter = ({
+  dbName: baseDbName = 'ShoppingCartDB',
+  storeName = 'cart',
+  channelName: baseChannelName = 'shopping-cart',
+  cartId,
+  onRecover,
+} = {}) => {
+  const dbName = cartScopedName(baseDbName, cartId);
+  const channelName = cartScopedName(baseChannelName, cartId);
+  let dbPromise = null;
+
+  const getDB = () => {
+    if (!dbPromise) {
+      // Each cart adopts the one left in localStorage under its own key
+      // (`shopping-cart` for the default cart, `shopping-cart:<cartId>` otherwise)
+      const legacyKey = cartScopedName(LEGACY_STORAGE_KEY, cartId);
+      dbPromise = openDatabase(dbName, createCartMigrations({ storeName, legacyKey }));
+    }
+    return dbPromise;
+  };
+
+  const readState = async () => {
+    const db = await getDB();
+    const stored = {
+      ...(await readCartAttributes(db)),
+      items: await readCartLines(db, storeName),
+      saved: await readCartLines(db, SAVED_STORE),
+    };
+    const { state, dropped } = sanitizeStoredCart(stored);
+    if (dropped > 0) {
+      const transaction = db.transaction([storeName, SAVED_STORE, META_STORE], 'readwrite');
+      const removeInvalid = (name, lines, valid) => {
+        lines.filter(line => !valid.includes(line)).forEach(line => {
+          if (line?.id != null) transaction.objectStore(name).delete(line.id);
+        });
+      };
+      removeInvalid(storeName, stored.items, state.items);
+      removeInvalid(SAVED_STORE, stored.saved, state.saved);
+      transaction.objectStore(META_STORE).put({ key: ATTRIBUTES_KEY, value: cartAttributes(state) });
+      await transactionDone(transaction);
+      console.warn(`Removed ${dropped} damaged entries from ${dbName}`);
+      onRecover?.({ code: CORRUPT_DATA, message: 'Some items in your saved cart were damaged and have been removed.' });
+    }
+    return state;
+  };
+
+  // Replays `batch` on the cart stored now and writes what changed
+  const applyBatch = async (transaction, batch) => {
+    const [items, saved, attributes, applied] = await Promise.all([
+      promisifyRequest(transaction.objectStore(storeName).getAll()),
+      promisifyRequest(transaction.objectStore(SAVED_STORE).getAll()),
+      promisifyRequest(transaction.objectStore(META_STORE).get(ATTRIBUTES_KEY)),
+      promisifyRequest(transaction.objectStore(META_STORE).get(APPLIED_KEY)),
+    ]);
+    // Ids written before and in this batch; a request sent twice may be in both
+    const seen = new Set(applied?.value ?? []);
+    const written = seen.size;
+    const fresh = batch.filter(({ id }) => {
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+    const { state } = sanitizeStoredCart({
+      ...(attributes?.value ?? {}),
+      items: sortCartLines(items),
+      saved: sortCartLines(saved),
+    });
+    const stored = state ? cartReducer(initialCartState, { type: HYDRATE, state }) : initialCartState;
+    const result = fresh.reduce(
+      (current, { next, action }) => (!action || action.type === HYDRATE ? next : cartReducer(current, action)),
+      stored
+    );
+
+    const writeDiff = (name, prevItems, nextItems) => {
+      const store = transaction.objectStore(name);
+      const { put, remove } = diffItems(prevItems, nextItems);
+      put.forEach(item => store.put(item));
+      remove.forEach(id => store.delete(id));
+    };
+    writeDiff(storeName, stored.items, result.items);
+    writeDiff(SAVED_STORE, stored.saved, result.saved);
+    if (!sameAttributes(stored, result)) {
+      transaction.objectStore(META_STORE).put({ key: ATTRIBUTES_KEY, value: cartAttributes(result) });
+    }
+    if (seen.size > written) {
+      transaction.objectStore(META_STORE).put({ key: APPLIED_KEY, value: [...seen].slice(-APPLIED_LIMIT) });
+    }
+  };
+
+  // Read-modify-write of one batch of saves in a single transaction; a failed
+  // batch is aborted so none of it is committed
+  const writeBatch = async (batch) => {
+    const db = await getDB();
+    const transaction = db.transaction([storeName, SAVED_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    try {
+      await applyBatch(transaction, batch);
+    } catch (error) {
+      done.catch(() => {});
+      try {
+        transaction.abort();
+      } catch {
+        // Already finished or aborted
+      }
+      throw error;
+    }
+    await done;
+  };
+
+  const listeners = new Set();
+  // Saves of this tab the leader has not stored yet
+  const outstanding = new Set();
+  let tabs = null;
+
+  // Saves waiting for the next transaction, as
+  // { next, action, id, forwarded, resolve, reject }; `forwarded` marks saves
+  // of other tabs
+  let queued = [];
+  // Settles once the queue is empty, null while idle
+  let flushing = null;
+
+  // Whether this tab has saves on their way or, as leader, writes running
+  const busy = () => outstanding.size > 0 || flushing !== null;
+
+  // Whether another tab's write went by while this tab was busy, so its
+  // listeners still have to see what is stored
+  let staleWhileBusy = false;
+
+  // Hands this tab's listeners the stored cart, unless saves of its own are
+  // still on their way, in which case it is read again once they are stored
+  const emitStored = async () => {
+    if (listeners.size === 0) return;
+    try {
+      const state = await readState();
+      if (busy()) {
+        staleWhileBusy = true;
+      } else {
+        listeners.forEach(listener => listener(state));
+      }
+    } catch (error) {
+      console.error('Failed to reload cart:', error);
+    }
+  };
+
+  // Called whenever a save of this tab settles or the queue goes idle
+  const emitIfStale = () => {
+    if (!staleWhileBusy || busy()) return;
+    staleWhileBusy = false;
+    emitStored();
+  };
+
+  const flush = async () => {
+    while (queued.length > 0) {
+      const batch = queued;
+      queued = [];
+      try {
+        await writeBatch(batch);
+        batch.forEach(({ resolve }) => resolve());
+        // This tab's listeners have yet to see saves forwarded to it
+        if (batch.some(({ forwarded }) => forwarded)) staleWhileBusy = true;
+        tabs?.channel.post({ type: 'CART_UPDATED' });
+      } catch (error) {
+        batch.forEach(({ reject }) => reject(error));
+      }
+    }
+    flushing = null;
+    emitIfStale();
+  };
+
+  const enqueue = (next, action, id, forwarded) => new Promise((resolve, reject) => {
+    queued.push({ next, action, id, forwarded, resolve, reject });
+    if (!flushing) flushing = Promise.resolve().then(flush);
+  });
+
+  const writeHistory = async (history) => {
+    const db = await getDB();
+    const transaction = db.transaction(META_STORE, 'readwrite');
+    transaction.objectStore(META_STORE).put({ key: HISTORY_KEY, value: history });
+    await transactionDone(transaction);
+  };
+
+  // Runs in the leader tab, for its own writes and the ones forwarded to it
+  const handleRequest = (body, { id, tabId }) => {
+    if (body.kind === 'history') return writeHistory(body.history);
+    return enqueue(body.next, body.action, id, tabId !== tabs.channel.tabId);
+  };
+
+  // Another tab's write landed; read once this tab's own saves are stored, so
+  // they are not lost
+  const handleMessage = (message) => {
+    if (message.type !== 'CART_UPDATED') return;
+    if (busy()) {
+      staleWhileBusy = true;
+    } else {
+      emitStored();
+    }
+  };
+
+  // The channel and the election start with the first use of the adapter
+  const coordination = () => {
+    if (!tabs) {
+      const channel = createTabChannel(channelName);
+      const leader = createTabLeader(channel, { lockName: `${channelName}:indexeddb-leader`, onRequest: handleRequest });
+      channel.subscribe(handleMessage);
+      tabs = { channel, leader };
+    }
+    return tabs;
+  };
+
+  const request = (body) => {
+    const written = coordination().leader.request(body);
+    outstanding.add(written);
+    const settle = () => {
+      outstanding.delete(written);
+      emitIfStale();
+    };
+    written.then(settle, settle);
+    return written;
+  };
+
+  return {
+    name: 'indexeddb',
+    load: () => {
+      coordination();
+      return readState();
+    },
+    // Saves made in the same tick, or while a transaction runs, share the
+    // next transaction
+    save: (next, prev, action) => request({ kind: 'save', next, action }),
+    loadHistory: async () => {
+      const db = await getDB();
+      const transaction = db.transaction(META_STORE, 'readonly');
+      const record = await promisifyRequest(transaction.objectStore(META_STORE).get(HISTORY_KEY));
+      return record?.value ?? null;
+    },
+    saveHistory: (history) => request({ kind: 'history', history }),
+    close: async () => {
+      tabs?.leader.close();
+      tabs?.channel.close();
+      tabs = null;
+      await flushing;
+      if (dbPromise) (await dbPromise).close();
+      dbPromise = null;
+    },
+    destroy: async () => {
+      await Promise.allSettled([...outstanding]);
+      await flushing;
+      tabs?.leader.close();
+      tabs?.channel.close();
+      tabs = null;
+      if (dbPromise) (await dbPromise).close();
+      dbPromise = null;
+      await deleteDatabase(dbName);
+    },
+    subscribe: (onChange) => {
+      coordination();
+      listeners.add(onChange);
+      return () => listeners.delete(onChange);
+    },
+  };
+};
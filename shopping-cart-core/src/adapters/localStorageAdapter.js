@@ -0,0 +1,186 @@
+import { cartScopedName, isValidLine, sanitizeStoredCart } from '../cartSchema.js';
+import { CORRUPT_DATA } from './storageSupport.js';
+import { initialCartState, HYDRATE } from '../cartReducer.js';
+import { diffItems } from '../itemDiff.js';
+
+// Applies the line changes from `prevLines` to `nextLines` onto the lines
+// stored now, so lines another tab changed in the meantime are kept
+const mergeLines = (storedLines, prevLines, nextLines) => {
+  const { put, remove } = diffItems(prevLines, nextLines);
+  const changed = new Map(put.map(item => [item.id, item]));
+  const removed = new Set(remove);
+  const merged = storedLines.filter(item => !removed.has(item.id)).map(item => changed.get(item.id) ?? item);
+  const present = new Set(merged.map(item => item.id));
+  return [...merged, ...put.filter(item => !present.has(item.id))];
+};
+
+// localStorage strategy: synchronous, survives reloads, one key per cart
+// plus one for its saved-for-later lines and one for its undo history.
+// Unreadable values are moved aside to `<key>:corrupt` and reported through
+// `onRecover({ code, message })`; the cart carries on with what was readable.
+//
+// Tabs share the keys, so a save writes only what it changed: its lines and
+// attributes are applied to the stored cart instead of replacing it. Other
+// tabs hear about it through the `storage` event and re-read the cart.
+export const createLocalStorageAdapter = ({ key: baseKey = 'shopping-cart', cartId, onRecover } = {}) => {
+  const key = cartScopedName(baseKey, cartId);
+  const savedKey = `${key}:saved`;
+  const historyKey = `${key}:history`;
+
+  const recover = (message) => {
+    console.warn(`Recovered cart ${key}: ${message}`);
+    onRecover?.({ code: CORRUPT_DATA, message });
+  };
+
+  // Keeps a copy of the bad value for inspection, unless storage is full
+  const quarantine = (storageKey, raw) => {
+    try {
+      localStorage.setItem(`${storageKey}:corrupt`, raw);
+    } catch (error) {
+      console.error('Could not keep a copy of the corrupt cart data:', error);
+    }
+    localStorage.removeItem(storageKey);
+  };
+
+  // Parsed value of `storageKey`, or undefined when missing or unreadable
+  const readKey = (storageKey) => {
+    const raw = localStorage.getItem(storageKey);
+    if (raw === null) return undefined;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.error(`Unreadable value in ${storageKey}:`, error);
+      quarantine(storageKey, raw);
+      return undefined;
+    }
+  };
+
+  // Both keys as stored. `known` is the snapshot this tab last read or wrote,
+  // so anything else means another tab wrote in between.
+  const snapshot = () => `${localStorage.getItem(key)}\n${localStorage.getItem(savedKey)}`;
+  let known = null;
+  const listeners = new Set();
+
+  const write = (next, prev) => {
+    const cart = { ...next };
+    delete cart.saved;
+    localStorage.setItem(key, JSON.stringify(cart));
+    if (next.saved !== prev?.saved) {
+      localStorage.setItem(savedKey, JSON.stringify(next.saved));
+    }
+    known = snapshot();
+  };
+
+  // What `next` changed since `prev`, on top of what is stored now. Attributes
+  // are merged one by one, lines by id; this tab wins where both changed.
+  const merge = (next, prev) => {
+    const current = sanitizeStoredCart(readKey(key) ?? {}).state ?? initialCartState;
+    const merged = { ...current };
+    new Set([...Object.keys(prev), ...Object.keys(next)]).forEach(name => {
+      if (next[name] !== prev[name]) merged[name] = next[name];
+    });
+    merged.items = mergeLines(current.items, prev.items, next.items);
+    // Unchanged saved lines are left alone, `write` skips them
+    if (next.saved === prev.saved) {
+      merged.saved = prev.saved;
+    } else {
+      const storedSaved = readKey(savedKey);
+      merged.saved = mergeLines(Array.isArray(storedSaved) ? storedSaved.filter(isValidLine) : [], prev.saved, next.saved);
+    }
+    return merged;
+  };
+
+  const read = () => {
+    if (typeof window === 'undefined') return null;
+    const rawCart = localStorage.getItem(key);
+    const rawSaved = localStorage.getItem(savedKey);
+    const stored = readKey(key);
+    const saved = readKey(savedKey);
+
+    if ((rawCart !== null && stored === undefined) || (rawSaved !== null && saved === undefined)) {
+      recover('Your saved cart was damaged and could not be restored.');
+    }
+    if (stored === undefined && saved === undefined) {
+      known = snapshot();
+      return null;
+    }
+
+    const { state, dropped } = sanitizeStoredCart(stored ?? {});
+    const savedLines = Array.isArray(saved) ? saved.filter(isValidLine) : [];
+    const droppedSaved = saved === undefined ? 0 : (Array.isArray(saved) ? saved.length : 1) - savedLines.length;
+    if (!state) {
+      quarantine(key, rawCart);
+      recover('Your saved cart was damaged and could not be restored.');
+    } else if (dropped + droppedSaved > 0) {
+      recover('Some items in your saved cart were damaged and have been removed.');
+    }
+    const cart = { ...(state ?? {}), saved: savedLines };
+    // Store the repaired cart so the damage is only reported once
+    if (state && dropped + droppedSaved > 0) {
+      try {
+        write(cart);
+      } catch (error) {
+        console.error('Failed to store the repaired cart:', error);
+      }
+    }
+    known = snapshot();
+    return cart;
+  };
+
+  // Hands the stored cart to the subscribers. The provider never saves what
+  // it gets here, so changes from other tabs are not written back.
+  const notify = () => {
+    try {
+      const state = read() ?? initialCartState;
+      listeners.forEach(onChange => onChange(state));
+    } catch (error) {
+      console.error('Failed to reload cart:', error);
+    }
+  };
+
+  const handleStorage = (event) => {
+    if (event.storageArea !== localStorage) return;
+    // A null key means the other tab cleared all of localStorage
+    if (event.key !== null && event.key !== key && event.key !== savedKey) return;
+    if (snapshot() !== known) notify();
+  };
+
+  return {
+    name: 'localstorage',
+    peek: read,
+    load: async () => read(),
+    // A HYDRATE carries the whole cart (moving storage, copying a cart), so
+    // it replaces what is stored. Otherwise, when another tab wrote since this
+    // one last looked, the merged cart is handed to the subscribers; the
+    // `storage` event for that write is then skipped.
+    save: async (next, prev, action) => {
+      if (!prev || action?.type === HYDRATE) {
+        write(next);
+        return;
+      }
+      const changedElsewhere = snapshot() !== known;
+      write(merge(next, prev), prev);
+      if (changedElsewhere && listeners.size > 0) queueMicrotask(notify);
+    },
+    // A damaged history is dropped; it only affects undo
+    loadHistory: async () => {
+      const history = readKey(historyKey);
+      return Array.isArray(history?.past) && Array.isArray(history?.future) ? history : null;
+    },
+    saveHistory: async (history) => {
+      localStorage.setItem(historyKey, JSON.stringify(history));
+    },
+    destroy: async () => {
+      [key, savedKey, historyKey].forEach(storageKey => localStorage.removeItem(storageKey));
+    },
+    // The `storage` event only fires in the other tabs
+    subscribe: (onChange) => {
+      if (listeners.size === 0) window.addEventListener('storage', handleStorage);
+      listeners.add(onChange);
+      return () => {
+        listeners.delete(onChange);
+        if (listeners.size === 0) window.removeEventListener('storage', handleStorage);
+      };
+    },
+  };
+};
@@ -0,0 +1,16 @@
+// In-memory strategy: the cart lives only as long as the page does
+export const createMemoryAdapter = () => {
+  let snapshot = null;
+
+  return {
+    name: 'memory',
+    peek: () => snapshot,
+    load: async () => snapshot,
+    save: async (next) => {
+      snapshot = next;
+    },
+    destroy: async () => {
+      snapshot = null;
+    },
+  };
+};
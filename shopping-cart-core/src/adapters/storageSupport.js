@@ -0,0 +1,83 @@
+// Detecting which browser storage works here, and describing storage
+// failures as { code, message } for the UI.
+
+export const STORAGE_UNAVAILABLE = 'STORAGE_UNAVAILABLE';
+export const QUOTA_EXCEEDED = 'QUOTA_EXCEEDED';
+export const CORRUPT_DATA = 'CORRUPT_DATA';
+export const STORAGE_FAILED = 'STORAGE_FAILED';
+// An encrypted cart whose key is missing or wrong. Not a reason to fall
+// back: the cart is still stored, it just cannot be opened with this key.
+export const DECRYPT_FAILED = 'DECRYPT_FAILED';
+
+const STORAGE_LABELS = {
+  hybrid: 'localStorage and IndexedDB',
+  indexeddb: 'IndexedDB',
+  localstorage: 'localStorage',
+  memory: 'memory for this visit only',
+};
+
+export const storageLabel = (mode) => STORAGE_LABELS[mode] ?? mode;
+
+// Browsers name the error differently, older ones only set a code
+export const isQuotaExceeded = (error) =>
+  error?.name === 'QuotaExceededError' ||
+  error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error?.code === 22 ||
+  error?.code === 1014;
+
+// Blocked storage (private mode, disabled cookies) throws on access, even on
+// `typeof localStorage` in some browsers. A full storage still counts as
+// available since it can be read.
+export const isLocalStorageAvailable = () => {
+  try {
+    const probe = '__cart_storage_probe__';
+    localStorage.setItem(probe, probe);
+    localStorage.removeItem(probe);
+    return true;
+  } catch (error) {
+    return isQuotaExceeded(error);
+  }
+};
+
+// Only tells whether the API exists; a denied `indexedDB.open` shows up when
+// the adapter first loads
+export const isIndexedDBAvailable = () => {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+};
+
+export const isStorageAvailable = (strategy) => {
+  switch (strategy) {
+    case 'localstorage':
+      return isLocalStorageAvailable();
+    case 'indexeddb':
+      return isIndexedDBAvailable();
+    case 'hybrid':
+      return isLocalStorageAvailable() && isIndexedDBAvailable();
+    default:
+      return true;
+  }
+};
+
+// Why `failed` was given up for `next`
+export const describeStorageError = (error, failed, next) => {
+  if (isQuotaExceeded(error)) {
+    return {
+      code: QUOTA_EXCEEDED,
+      message: `${storageLabel(failed)} is full, so your cart is now kept in ${storageLabel(next)}.`,
+    };
+  }
+  if (error === null || ['SecurityError', 'InvalidStateError', 'UnknownError'].includes(error?.name)) {
+    return {
+      code: STORAGE_UNAVAILABLE,
+      message: `${storageLabel(failed)} is not available here, so your cart is kept in ${storageLabel(next)}.`,
+    };
+  }
+  return {
+    code: STORAGE_FAILED,
+    message: `Your cart could not be stored in ${storageLabel(failed)}, so it is kept in ${storageLabel(next)}.`,
+  };
+};
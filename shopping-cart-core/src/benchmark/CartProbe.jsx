@@ -0,0 +1,13 @@
+import { useEffect } from 'react';
+import useCart from '../useCart.js';
+
+// Reports the cart after every commit
+const CartProbe = ({ onCart }) => {
+  const cart = useCart();
+  useEffect(() => {
+    onCart(cart);
+  });
+  return null;
+};
+
+export default CartProbe;
@@ -0,0 +1,274 @@
+import CartProvider from '../CartProvider.jsx';
+import CartProbe from './CartProbe.jsx';
+import { createCartAdapter, fallbackOptions } from '../adapters/index.js';
+import { cartScopedName } from '../cartSchema.js';
+import { initialCartState, HYDRATE } from '../cartReducer.js';
+import { createLine } from '../productOptions.js';
+import { generateProducts } from '../catalog/sources.js';
+import { formatCSV } from '../sharing/cartTransfer.js';
+import { getAllRecords, promisifyRequest } from '../idb.js';
+
+// Measures what each storage strategy costs a CartProvider holding carts of
+// growing size:
+//   firstRender  ms from mounting the provider until the stored lines are shown
+//   loaded       ms until `load()` settled and the cart accepts changes
+//   mutation     ms from `updateQuantity` until the change is rendered
+//   persistence  ms until the adapter's `save` resolved
+//   propagation  ms until another adapter on the same cart (a second tab)
+//                reports the change; null when the strategy does not notify
+//   footprint    approximate bytes stored: keys and values, or the serialized
+//                records, as UTF-16
+// mutation, persistence and propagation are { median, p95, samples }.
+
+export const BENCHMARK_STRATEGIES = ['memory', 'localstorage', 'indexeddb', 'hybrid'];
+export const BENCHMARK_SIZES = [10, 100, 1000, 10000, 100000];
+
+// Storage names apart from the demos', so a run never touches a real cart.
+// Hybrid flushes right away so its footprint includes IndexedDB.
+const BENCHMARK_OPTIONS = { key: 'cart-benchmark', dbName: 'CartBenchmarkDB', channelName: 'cart-benchmark', syncDelay: 0 };
+
+// How long to wait for a render or another tab before giving up
+const WAIT_TIMEOUT = 30000;
+const PROPAGATION_TIMEOUT = 1000;
+
+const now = () => performance.now();
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const round = (ms) => Math.round(ms * 100) / 100;
+
+export const summarize = (samples) => {
+  if (samples.length === 0) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+  return { median: round(at(0.5)), p95: round(at(0.95)), samples: samples.length };
+};
+
+// `count` distinct lines without stock limits, so every mutation is accepted
+export const createBenchmarkCart = (count, time = Date.now()) => ({
+  ...initialCartState,
+  items: generateProducts(count).map(product => ({
+    ...createLine({ ...product, stock: undefined, maxPerCustomer: undefined }),
+    addedAt: time,
+    updatedAt: time,
+  })),
+});
+
+const databaseSize = async (name) => {
+  const db = await promisifyRequest(indexedDB.open(name));
+  try {
+    let bytes = 0;
+    for (const storeName of db.objectStoreNames) {
+      bytes += JSON.stringify(await getAllRecords(db, storeName)).length * 2;
+    }
+    return bytes;
+  } finally {
+    db.close();
+  }
+};
+
+// Bytes a benchmark cart takes in the storage `mode` ended up using, after
+// asking for `strategy` (a fallback stores under names of its own)
+export const measureFootprint = async (mode, cartId, strategy = mode) => {
+  const names = fallbackOptions(strategy, mode, BENCHMARK_OPTIONS);
+  const key = cartScopedName(names.key, cartId);
+  let bytes = 0;
+  if (mode === 'localstorage' || mode === 'hybrid') {
+    Object.keys(localStorage)
+      .filter(storageKey => storageKey === key || storageKey.startsWith(`${key}:`))
+      .forEach(storageKey => {
+        bytes += (storageKey.length + localStorage.getItem(storageKey).length) * 2;
+      });
+  }
+  if (mode === 'indexeddb' || mode === 'hybrid') {
+    bytes += await databaseSize(cartScopedName(names.dbName, cartId));
+  }
+  return bytes;
+};
+
+// Resolves `waitFor(test)` with the time a reported value first passes `test`
+const createWatcher = () => {
+  let latest = null;
+  let waiters = [];
+
+  return {
+    report: (value) => {
+      latest = value;
+      const time = now();
+      waiters = waiters.filter(waiter => {
+        if (!waiter.test(value)) return true;
+        clearTimeout(waiter.timeout);
+        waiter.resolve(time);
+        return false;
+      });
+    },
+    latest: () => latest,
+    waitFor: (test, timeout = WAIT_TIMEOUT) => {
+      if (latest && test(latest)) return Promise.resolve(now());
+      return new Promise((resolve, reject) => {
+        const waiter = { test, resolve };
+        waiter.timeout = setTimeout(() => {
+          waiters = waiters.filter(other => other !== waiter);
+          reject(new Error('Timed out'));
+        }, timeout);
+        waiters.push(waiter);
+      });
+    },
+  };
+};
+
+const measureCase = async ({ strategy, lines, mutations, render }) => {
+  const cartId = `${strategy}-${lines}`;
+  const options = { ...BENCHMARK_OPTIONS, cartId };
+  const cart = createBenchmarkCart(lines);
+
+  // Leftovers of an interrupted run would skew the numbers
+  await createCartAdapter(strategy, options).destroy?.();
+  const writer = createCartAdapter(strategy, options);
+  await writer.save(cart, initialCartState, { type: HYDRATE, state: cart });
+  await delay(0);
+  const storageMode = writer.storageStatus().mode;
+
+  // A fresh adapter reads the cart back like a reload would. Memory, and a
+  // strategy that fell back to it, only has the cart in the writer.
+  const adapter = strategy === 'memory' || storageMode === 'memory' ? writer : createCartAdapter(strategy, options);
+  const observer = createCartAdapter(strategy, options);
+  const persistence = [];
+  let loadSettled;
+  const loadDone = new Promise(resolve => {
+    loadSettled = resolve;
+  });
+  const timed = {
+    ...adapter,
+    load: async () => {
+      try {
+        return await adapter.load();
+      } finally {
+        loadSettled(now());
+      }
+    },
+    save: async (...args) => {
+      const start = now();
+      await adapter.save(...args);
+      persistence.push(now() - start);
+    },
+  };
+
+  const screen = createWatcher();
+  const otherTab = createWatcher();
+  const unsubscribe = observer.subscribe?.(otherTab.report);
+  let unmount = null;
+
+  try {
+    const start = now();
+    unmount = render(
+      <CartProvider adapter={timed} ttl={null}>
+        <CartProbe onCart={screen.report} />
+      </CartProvider>
+    );
+    const firstRender = (await screen.waitFor(state => state.items.length === lines)) - start;
+    // With `peek` the cart shows before `load()` settles, and the loaded
+    // copy would overwrite changes made in between
+    const loaded = Math.max(await loadDone, await screen.waitFor(state => !state.loading)) - start;
+    await delay(0);
+
+    const mutation = [];
+    const propagation = [];
+    let propagates = true;
+    for (let i = 0; i < mutations; i += 1) {
+      // Stored lines may come back in another order
+      const line = screen.latest().items[i % lines];
+      const quantity = line.quantity + 1;
+      const changed = (state) => state.items.find(item => item.id === line.id)?.quantity === quantity;
+      const started = now();
+      screen.latest().updateQuantity(line.id, quantity);
+      mutation.push((await screen.waitFor(changed)) - started);
+      if (propagates) {
+        try {
+          propagation.push((await otherTab.waitFor(changed, PROPAGATION_TIMEOUT)) - started);
+        } catch {
+          // No second tab is told about changes; stop waiting for it
+          propagates = false;
+        }
+      }
+    }
+
+    // Let pending saves and the hybrid journal settle before sizing storage
+    const settleBy = now() + WAIT_TIMEOUT;
+    while (persistence.length < mutations && now() < settleBy) await delay(10);
+    await delay(50);
+    const mode = adapter.storageStatus().mode;
+
+    return {
+      strategy,
+      lines,
+      storageMode: mode,
+      firstRender: round(firstRender),
+      loaded: round(loaded),
+      mutation: summarize(mutation),
+      persistence: summarize(persistence),
+      propagation: summarize(propagation),
+      footprint: await measureFootprint(mode, cartId, strategy),
+    };
+  } finally {
+    unmount?.();
+    unsubscribe?.();
+    await Promise.all([writer, adapter, observer].map(created => created.destroy?.()));
+  }
+};
+
+// Runs every strategy against every cart size, one case at a time.
+// `render(element)` mounts a React element and returns a function that
+// unmounts it; `onProgress({ strategy, lines, done, total })` is called before
+// each case and `onResult(result)` after it. A case that fails is reported
+// with its `error` message. Resolves to every result.
+export const runCartBenchmark = async ({
+  strategies = BENCHMARK_STRATEGIES,
+  sizes = BENCHMARK_SIZES,
+  mutations = 20,
+  render,
+  onProgress,
+  onResult,
+  signal,
+}) => {
+  const cases = strategies.flatMap(strategy => sizes.map(lines => ({ strategy, lines })));
+  const results = [];
+
+  for (const [done, { strategy, lines }] of cases.entries()) {
+    if (signal?.aborted) break;
+    onProgress?.({ strategy, lines, done, total: cases.length });
+    let result;
+    try {
+      result = await measureCase({ strategy, lines, mutations, render });
+    } catch (error) {
+      console.error(`Benchmark ${strategy} with ${lines} lines failed:`, error);
+      result = { strategy, lines, error: error.message };
+    }
+    results.push(result);
+    onResult?.(result);
+  }
+  return results;
+};
+
+const RESULT_COLUMNS = [
+  ['strategy', result => result.strategy],
+  ['lines', result => result.lines],
+  ['storageMode', result => result.storageMode],
+  ['firstRenderMs', result => result.firstRender],
+  ['loadedMs', result => result.loaded],
+  ['mutationMedianMs', result => result.mutation?.median],
+  ['mutationP95Ms', result => result.mutation?.p95],
+  ['persistenceMedianMs', result => result.persistence?.median],
+  ['persistenceP95Ms', result => result.persistence?.p95],
+  ['propagationMedianMs', result => result.propagation?.median],
+  ['propagationP95Ms', result => result.propagation?.p95],
+  ['footprintBytes', result => result.footprint],
+  ['error', result => result.error],
+];
+
+export const benchmarkResultsToCSV = (results) =>
+  formatCSV([
+    RESULT_COLUMNS.map(([name]) => name),
+    ...results.map(result => RESULT_COLUMNS.map(([, value]) => value(result))),
+  ]);
+
+export const benchmarkResultsToJSON = (results, environment = {}) =>
+  JSON.stringify({ createdAt: new Date().toISOString(), environment, results }, null, 2);
@@ -0,0 +1,252 @@
+import { createLine, normalizeLine } from './productOptions.js';
+import { validateQuantity } from './inventory.js';
+import { applyCartChanges } from './reconciliation.js';
+import { multiplyMoney, sumMoney, DEFAULT_CURRENCY, EXCHANGE_RATES } from './money.js';
+
+// Action types
+export const ADD_ITEM = 'ADD_ITEM';
+export const UPDATE_QUANTITY = 'UPDATE_QUANTITY';
+export const REMOVE_ITEM = 'REMOVE_ITEM';
+export const CLEAR_CART = 'CLEAR_CART';
+export const APPLY_COUPON = 'APPLY_COUPON';
+export const REMOVE_COUPON = 'REMOVE_COUPON';
+export const SET_REGION = 'SET_REGION';
+export const SET_SHIPPING_METHOD = 'SET_SHIPPING_METHOD';
+export const SAVE_FOR_LATER = 'SAVE_FOR_LATER';
+export const MOVE_TO_CART = 'MOVE_TO_CART';
+export const ADD_TO_WISHLIST = 'ADD_TO_WISHLIST';
+export const REMOVE_SAVED = 'REMOVE_SAVED';
+export const ACCEPT_CHANGES = 'ACCEPT_CHANGES';
+export const EXPIRE_CART = 'EXPIRE_CART';
+export const PLACE_ORDER = 'PLACE_ORDER';
+export const IMPORT_CART = 'IMPORT_CART';
+export const APPLY_PATCH = 'APPLY_PATCH';
+export const HYDRATE = 'HYDRATE';
+
+// `items` are the cart lines and `saved` the saved-for-later (wishlist) lines;
+// adapters keep each list in its own store. Everything else is a cart attribute
+// (applied coupon codes, destination region, shipping method) persisted
+// alongside the lines. A null region or method means "use the configured default".
+export const initialCartState = { items: [], saved: [], coupons: [], region: null, shippingMethod: null };
+
+export const cartAttributes = (state) => {
+  const attributes = { ...state };
+  delete attributes.items;
+  delete attributes.saved;
+  return attributes;
+};
+
+// Adds `line` to `list`, summing quantities with a line of the same id
+const mergeIntoList = (list, line) => {
+  const existing = list.find(item => item.id === line.id);
+  if (!existing) return [...list, line];
+  return list.map(item => (item.id === line.id ? { ...item, quantity: item.quantity + line.quantity } : item));
+};
+
+// Applies one list of an undo/redo patch, putting lines back where they were
+const patchList = (list, { put, remove }) => {
+  const removed = new Set(remove);
+  const items = list.filter(item => !removed.has(item.id));
+  put.forEach(({ item, index }) => {
+    const position = items.findIndex(existing => existing.id === item.id);
+    if (position >= 0) {
+      items[position] = item;
+    } else {
+      items.splice(Math.min(index, items.length), 0, item);
+    }
+  });
+  const changed = items.length !== list.length || items.some((item, i) => item !== list[i]);
+  return changed ? items : list;
+};
+
+export const sameAttributes = (a, b) =>
+  JSON.stringify(cartAttributes(a)) === JSON.stringify(cartAttributes(b));
+
+// Stock and purchase-limit check for the quantity-changing actions; anything
+// else passes. Resolves to { ok: true } or { ok: false, error: { code, message, max } }.
+export const validateCartAction = (state, action) => {
+  switch (action.type) {
+    case ADD_ITEM: {
+      const line = createLine(action.product, action.options);
+      const existing = state.items.find(item => item.id === line.id);
+      return validateQuantity(state.items, line, (existing?.quantity ?? 0) + 1);
+    }
+
+    case UPDATE_QUANTITY: {
+      const line = state.items.find(item => item.id === action.lineId);
+      return line ? validateQuantity(state.items, line, action.quantity) : { ok: true };
+    }
+
+    case MOVE_TO_CART: {
+      const line = state.saved.find(item => item.id === action.lineId);
+      if (!line) return { ok: true };
+      const existing = state.items.find(item => item.id === line.id);
+      return validateQuantity(state.items, line, (existing?.quantity ?? 0) + line.quantity);
+    }
+
+    default:
+      return { ok: true };
+  }
+};
+
+// Pure cart reducer shared by every storage strategy. Returning the same
+// state object means "nothing changed", which the provider uses to skip
+// persistence. Quantity changes beyond stock or purchase limits are ignored.
+export const cartReducer = (state, action) => {
+  switch (action.type) {
+    // One line per product and option combination
+    case ADD_ITEM: {
+      if (!validateCartAction(state, action).ok) return state;
+      const line = createLine(action.product, action.options);
+      const existingItem = state.items.find(item => item.id === line.id);
+      if (existingItem) {
+        return {
+          ...state,
+          items: state.items.map(item =>
+            item.id === line.id
+              ? {
+                ...item,
+                stock: line.stock,
+                maxPerCustomer: line.maxPerCustomer,
+                quantity: item.quantity + 1,
+                updatedAt: action.addedAt,
+              }
+              : item
+          ),
+        };
+      }
+      return { ...state, items: [...state.items, { ...line, addedAt: action.addedAt, updatedAt: action.addedAt }] };
+    }
+
+    case UPDATE_QUANTITY: {
+      const { lineId, quantity } = action;
+      if (!validateCartAction(state, action).ok) return state;
+      const item = state.items.find(item => item.id === lineId);
+      if (!item || item.quantity === quantity) return state;
+      return {
+        ...state,
+        items: state.items.map(item =>
+          item.id === lineId ? { ...item, quantity, updatedAt: action.updatedAt } : item
+        ),
+      };
+    }
+
+    case REMOVE_ITEM: {
+      if (!state.items.some(item => item.id === action.lineId)) return state;
+      return { ...state, items: state.items.filter(item => item.id !== action.lineId) };
+    }
+
+    // Expiry and checkout empty the cart like "Clear Cart" but are told apart
+    // in the history
+    case CLEAR_CART:
+    case EXPIRE_CART:
+    case PLACE_ORDER:
+      if (state.items.length === 0 && state.coupons.length === 0) return state;
+      return { ...state, items: [], coupons: [] };
+
+    // Codes are validated by the pricing engine before they get here
+    case APPLY_COUPON:
+      if (state.coupons.includes(action.code)) return state;
+      return { ...state, coupons: [...state.coupons, action.code] };
+
+    case REMOVE_COUPON:
+      if (!state.coupons.includes(action.code)) return state;
+      return { ...state, coupons: state.coupons.filter(code => code !== action.code) };
+
+    case SET_REGION:
+      return state.region === action.region ? state : { ...state, region: action.region };
+
+    case SET_SHIPPING_METHOD:
+      return state.shippingMethod === action.methodId ? state : { ...state, shippingMethod: action.methodId };
+
+    // Moving a line between the cart and the saved list keeps its quantity
+    // and options; it goes to the end of the list it moves to
+    case SAVE_FOR_LATER: {
+      const line = state.items.find(item => item.id === action.lineId);
+      if (!line) return state;
+      return {
+        ...state,
+        items: state.items.filter(item => item.id !== line.id),
+        saved: mergeIntoList(state.saved, { ...line, addedAt: action.addedAt }),
+      };
+    }
+
+    case MOVE_TO_CART: {
+      const line = state.saved.find(item => item.id === action.lineId);
+      if (!line || !validateCartAction(state, action).ok) return state;
+      return {
+        ...state,
+        items: mergeIntoList(state.items, { ...line, addedAt: action.addedAt, updatedAt: action.addedAt }),
+        saved: state.saved.filter(item => item.id !== line.id),
+      };
+    }
+
+    case ADD_TO_WISHLIST: {
+      const line = createLine(action.product, action.options);
+      if (state.saved.some(item => item.id === line.id)) return state;
+      return { ...state, saved: [...state.saved, { ...line, addedAt: action.addedAt }] };
+    }
+
+    case REMOVE_SAVED: {
+      if (!state.saved.some(item => item.id === action.lineId)) return state;
+      return { ...state, saved: state.saved.filter(item => item.id !== action.lineId) };
+    }
+
+    // Catalog changes the user accepted (see reconciliation.js)
+    case ACCEPT_CHANGES:
+      return applyCartChanges(state, action.changes, action.acceptedAt);
+
+    // A cart from a file or a share link, added to this one ('merge') or in
+    // place of it ('replace'). Imported lines count as added now, and the
+    // region and shipping method stay unless the import sets them.
+    case IMPORT_CART: {
+      const { cart, mode, importedAt } = action;
+      const stamp = (line) => ({ ...normalizeLine(line), addedAt: importedAt, updatedAt: importedAt });
+      const items = (cart.items ?? []).map(stamp);
+      const saved = cart.saved ? cart.saved.map(stamp) : null;
+      const coupons = cart.coupons ?? [];
+      const region = cart.region ?? state.region;
+      const shippingMethod = cart.shippingMethod ?? state.shippingMethod;
+      if (mode === 'replace') {
+        return { ...state, items, saved: saved ?? state.saved, coupons, region, shippingMethod };
+      }
+      if (items.length === 0 && !saved?.length && coupons.every(code => state.coupons.includes(code))) return state;
+      return {
+        ...state,
+        items: items.reduce(mergeIntoList, state.items),
+        saved: (saved ?? []).reduce(mergeIntoList, state.saved),
+        coupons: [...new Set([...state.coupons, ...coupons])],
+        region: state.region ?? region,
+        shippingMethod: state.shippingMethod ?? shippingMethod,
+      };
+    }
+
+    // Undo/redo (see history.js): put lines back where they were, drop lines
+    // and restore attributes. The top-level put/remove apply to `items`.
+    case APPLY_PATCH: {
+      const { attributes, saved } = action.patch;
+      const items = patchList(state.items, action.patch);
+      const savedItems = saved ? patchList(state.saved, saved) : state.saved;
+      if (items === state.items && savedItems === state.saved && !attributes) return state;
+      return { ...state, ...attributes, items, saved: savedItems };
+    }
+
+    // Replace the state with a persisted or externally changed copy
+    case HYDRATE:
+      return {
+        ...initialCartState,
+        ...action.state,
+        items: (action.state.items ?? []).map(normalizeLine),
+        saved: (action.state.saved ?? []).map(normalizeLine),
+      };
+
+    default:
+      return state;
+  }
+};
+
+export const lineTotal = (item) => multiplyMoney(item.price, item.quantity);
+
+// Cart total as Money in `currency`, converting lines priced in other currencies
+export const cartTotal = (items, currency = DEFAULT_CURRENCY, rates = EXCHANGE_RATES) =>
+  sumMoney(items.map(lineTotal), currency, rates);
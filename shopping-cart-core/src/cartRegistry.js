@@ -0,0 +1,161 @@
+import { createCartAdapter, isLocalStorageAvailable, resealStoredPayloads } from './adapters/index.js';
+import { createCartSync } from './sync/cartSync.js';
+import { DEFAULT_CART_ID } from './cartSchema.js';
+import { cartReducer, initialCartState, HYDRATE } from './cartReducer.js';
+
+const DEFAULT_CART = { id: DEFAULT_CART_ID, name: 'My Cart', createdAt: 0 };
+
+// Named carts of one storage strategy.
+//
+// Each cart is stored by its own adapter under its id (see `cartScopedName`).
+// The list of carts is shared by every tab through localStorage (kept in memory
+// for the memory strategy), while the cart a tab has open is remembered in
+// sessionStorage so tabs can work on different carts at the same time. Where
+// storage is blocked, the list is kept in memory too.
+// With `sync` options (see createCartSync) every cart syncs with the server.
+// With an `encryption` keyring in `options` every cart is stored encrypted.
+export const createCartRegistry = ({ strategy, options = {}, sync, registryKey = 'shopping-carts' }) => {
+  const persistent = strategy !== 'memory' && isLocalStorageAvailable();
+  const activeKey = `${registryKey}:active`;
+  const adapters = new Map();
+  const syncs = new Map();
+  const listeners = new Set();
+  let memoryCarts = [DEFAULT_CART];
+  let memoryActive = null;
+
+  const list = () => {
+    if (!persistent) return memoryCarts;
+    try {
+      const carts = JSON.parse(localStorage.getItem(registryKey));
+      return Array.isArray(carts) && carts.length > 0 ? carts : [DEFAULT_CART];
+    } catch (error) {
+      console.error('Ignoring unreadable cart list:', error);
+      return [DEFAULT_CART];
+    }
+  };
+
+  const emit = () => listeners.forEach(listener => listener());
+
+  const writeList = (carts) => {
+    if (persistent) {
+      localStorage.setItem(registryKey, JSON.stringify(carts));
+    } else {
+      memoryCarts = carts;
+    }
+    emit();
+  };
+
+  // Falls back to the first cart when the remembered one was deleted
+  const activeId = () => {
+    const stored = persistent ? sessionStorage.getItem(activeKey) : memoryActive;
+    const carts = list();
+    return carts.some(cart => cart.id === stored) ? stored : carts[0].id;
+  };
+
+  const setActive = (id) => {
+    if (persistent) {
+      sessionStorage.setItem(activeKey, id);
+    } else {
+      memoryActive = id;
+    }
+    emit();
+  };
+
+  // One adapter per cart for the lifetime of the page, so cross-tab
+  // listeners and replicas are not duplicated when switching back and forth
+  const adapterFor = (id) => {
+    if (!adapters.has(id)) {
+      adapters.set(id, createCartAdapter(strategy, { ...options, cartId: id }));
+    }
+    return adapters.get(id);
+  };
+
+  const syncFor = (id) => {
+    if (!sync) return null;
+    if (!syncs.has(id)) {
+      syncs.set(id, createCartSync({ ...sync, cartId: id }));
+    }
+    return syncs.get(id);
+  };
+
+  const addCart = (name) => {
+    const cart = { id: crypto.randomUUID(), name, createdAt: Date.now() };
+    writeList([...list(), cart]);
+    return cart;
+  };
+
+  return {
+    list,
+    activeId,
+    setActive,
+    adapterFor,
+    syncFor,
+    encrypted: Boolean(options.encryption),
+    // Whether the keyring takes a passphrase (and can be unlocked with one)
+    passphraseProtected: Boolean(options.encryption?.unlock),
+    create: (name) => {
+      const cart = addCart(name);
+      setActive(cart.id);
+      return cart;
+    },
+    rename: (id, name) => {
+      writeList(list().map(cart => (cart.id === id ? { ...cart, name } : cart)));
+    },
+    // Copies the lines, saved items and attributes into a new cart and opens it
+    duplicate: async (id, name) => {
+      const source = adapterFor(id);
+      const stored = (await source.load()) ?? source.peek?.() ?? null;
+      const state = stored ? cartReducer(initialCartState, { type: HYDRATE, state: stored }) : initialCartState;
+      const cart = addCart(name);
+      await adapterFor(cart.id).save(state, initialCartState, { type: HYDRATE, state });
+      setActive(cart.id);
+      return cart;
+    },
+    // The last remaining cart cannot be deleted
+    remove: async (id) => {
+      const carts = list();
+      if (carts.length <= 1) return false;
+      await adapterFor(id).destroy?.();
+      adapters.delete(id);
+      syncs.delete(id);
+      writeList(carts.filter(cart => cart.id !== id));
+      return true;
+    },
+    // Makes a new encryption key and re-encrypts every cart with it, then
+    // whatever else the keyring still has sealed with an older key (other
+    // registries, fallback storage, carts no tab has open); the arguments go
+    // to the keyring (a new passphrase, for instance)
+    rotateKey: async (...args) => {
+      if (!options.encryption) return;
+      await options.encryption.rotate(...args);
+      for (const cart of list()) {
+        await adapterFor(cart.id).reseal?.();
+      }
+      await resealStoredPayloads(options.encryption);
+    },
+    // Hands the keyring a secret changed in another tab (a new passphrase);
+    // resolves to whether it fits the stored key
+    unlockKey: async (...args) => {
+      if (!options.encryption?.unlock) return false;
+      return options.encryption.unlock(...args);
+    },
+    // Lets go of every cart's channels and tab leadership, keeping what is
+    // stored, before the app opens the carts through another registry
+    close: async () => {
+      await Promise.all([...adapters.values()].map(adapter => adapter.close?.()));
+      adapters.clear();
+    },
+    // Reports changes to the list or the active cart, including ones made in other tabs
+    subscribe: (onChange) => {
+      const handleStorage = (event) => {
+        if (event.key === registryKey) onChange();
+      };
+      listeners.add(onChange);
+      if (persistent) window.addEventListener('storage', handleStorage);
+      return () => {
+        listeners.delete(onChange);
+        if (persistent) window.removeEventListener('storage', handleStorage);
+      };
+    },
+  };
+};
@@ -0,0 +1,171 @@
+import { ADD_ITEM } from './cartReducer.js';
+import { diffItems } from './itemDiff.js';
+
+// Conflict-free replica of the cart lines, one per tab.
+//
+// Every line carries
+//   item       product fields, last-writer-wins by `itemStamp`
+//   base       { quantity, stamp } - the last absolute write (a quantity
+//              change, or a remove as quantity 0), last-writer-wins
+//   incs       { [tabId]: n } - "Add to Cart" increments made on top of `base`
+//
+// Cart attributes (coupons, ...) form one more register, { value, stamp },
+// that is last-writer-wins as a whole.
+//
+// Stamps are Lamport timestamps [counter, tabId]; the tab id breaks ties so
+// every replica picks the same winner. Increments only count against the base
+// they were made on, so concurrent adds from different tabs sum up, while a
+// quantity change or remove wins over increments it had not seen. Removed
+// lines stay behind as quantity-0 tombstones so a late message cannot bring
+// them back. Merging is commutative, associative and idempotent, which makes
+// the order in which tabs exchange lines irrelevant.
+
+const ZERO_STAMP = [0, ''];
+
+export const compareStamps = (a, b) => {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] === b[1]) return 0;
+  return a[1] < b[1] ? -1 : 1;
+};
+
+export const lineQuantity = (line) =>
+  Object.values(line.incs).reduce((sum, n) => sum + n, line.base.quantity);
+
+// Wraps a plain cart item (legacy or freshly imported) as a line every
+// replica converts identically
+export const lineFromItem = (item) => {
+  const { quantity, ...fields } = item;
+  return {
+    id: item.id,
+    item: fields,
+    itemStamp: ZERO_STAMP,
+    base: { quantity, stamp: ZERO_STAMP },
+    incs: {},
+  };
+};
+
+export const mergeLine = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+
+  const baseOrder = compareStamps(a.base.stamp, b.base.stamp);
+  let incs;
+  if (baseOrder === 0) {
+    incs = { ...a.incs };
+    Object.entries(b.incs).forEach(([tabId, n]) => {
+      incs[tabId] = Math.max(incs[tabId] ?? 0, n);
+    });
+  } else {
+    incs = baseOrder > 0 ? a.incs : b.incs;
+  }
+
+  const itemSource = compareStamps(a.itemStamp, b.itemStamp) >= 0 ? a : b;
+  return {
+    id: a.id,
+    item: itemSource.item,
+    itemStamp: itemSource.itemStamp,
+    base: baseOrder >= 0 ? a.base : b.base,
+    incs,
+  };
+};
+
+const sameLine = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const createCartReplica = (tabId) => {
+  const lines = new Map();
+  let attributes = { value: {}, stamp: ZERO_STAMP };
+  let clock = 0;
+
+  const tick = () => {
+    clock += 1;
+    return [clock, tabId];
+  };
+
+  const observe = (stamp) => {
+    clock = Math.max(clock, stamp[0]);
+  };
+
+  // Merges lines from storage or another tab; returns the lines that changed
+  const merge = (incoming) => {
+    const changed = [];
+    incoming.forEach(line => {
+      observe(line.base.stamp);
+      observe(line.itemStamp);
+      const current = lines.get(line.id);
+      const merged = mergeLine(current, line);
+      if (!current || !sameLine(current, merged)) {
+        lines.set(line.id, merged);
+        changed.push(merged);
+      }
+    });
+    return changed;
+  };
+
+  // Keeps the newer of two attribute registers; returns whether it changed
+  const mergeAttributes = (incoming) => {
+    if (!incoming) return false;
+    observe(incoming.stamp);
+    if (compareStamps(incoming.stamp, attributes.stamp) <= 0) return false;
+    attributes = { value: incoming.value, stamp: incoming.stamp };
+    return true;
+  };
+
+  const setAttributes = (value) => {
+    attributes = { value, stamp: tick() };
+    return attributes;
+  };
+
+  // Records a local reducer transition; returns the lines that changed
+  const applyChange = (prevItems, nextItems, action) => {
+    const { put, remove } = diffItems(prevItems, nextItems);
+    const prevById = new Map(prevItems.map(item => [item.id, item]));
+    const changed = [];
+
+    put.forEach(item => {
+      const { quantity, ...fields } = item;
+      const line = lines.get(item.id) ?? lineFromItem({ ...item, quantity: 0 });
+      const updated = { ...line, item: fields, itemStamp: tick() };
+
+      if (action?.type === ADD_ITEM) {
+        const added = quantity - (prevById.get(item.id)?.quantity ?? 0);
+        updated.incs = { ...line.incs, [tabId]: (line.incs[tabId] ?? 0) + added };
+      } else {
+        updated.base = { quantity, stamp: tick() };
+        updated.incs = {};
+      }
+
+      lines.set(item.id, updated);
+      changed.push(updated);
+    });
+
+    remove.forEach(id => {
+      const line = lines.get(id);
+      if (!line) return;
+      const updated = { ...line, base: { quantity: 0, stamp: tick() }, incs: {} };
+      lines.set(id, updated);
+      changed.push(updated);
+    });
+
+    return changed;
+  };
+
+  // Visible cart items, in the order they were added
+  const items = () =>
+    [...lines.values()]
+      .map(line => ({ ...line.item, id: line.id, quantity: lineQuantity(line) }))
+      .filter(item => item.quantity > 0)
+      .sort((a, b) => (a.addedAt ?? 0) - (b.addedAt ?? 0));
+
+  return {
+    tabId,
+    merge,
+    applyChange,
+    mergeAttributes,
+    setAttributes,
+    items,
+    lines: () => [...lines.values()],
+    attributes: () => attributes,
+    // Cart state as the reducer sees it
+    state: () => ({ ...attributes.value, items: items() }),
+  };
+};
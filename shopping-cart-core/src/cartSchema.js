@@ -0,0 +1,139 @@
+import { getAllRecords, promisifyRequest, updateRecords } from './idb.js';
+
+// Key the localStorage demo (and older builds) kept the cart under
+export const LEGACY_STORAGE_KEY = 'shopping-cart';
+
+// Named carts are stored apart from each other. The default cart keeps the
+// names used before there were several carts; any other cart appends its id
+// to the storage key, database and channel names of its adapter.
+export const DEFAULT_CART_ID = 'default';
+
+export const cartScopedName = (name, cartId = DEFAULT_CART_ID) =>
+  cartId === DEFAULT_CART_ID ? name : `${name}:${cartId}`;
+
+// Saved-for-later lines, kept apart from the cart lines
+export const SAVED_STORE = 'saved';
+
+// Cart attributes (everything but the lines) live in one record of this store
+export const META_STORE = 'meta';
+export const ATTRIBUTES_KEY = 'attributes';
+// Undo/redo history, also kept in the meta store
+export const HISTORY_KEY = 'history';
+// Ids of the saves written, so one sent again is written once
+export const APPLIED_KEY = 'applied';
+export const APPLIED_LIMIT = 200;
+
+// Older versions stored the bare item array instead of the cart state
+export const parseStoredCart = (json) => {
+  const data = JSON.parse(json);
+  return Array.isArray(data) ? { items: data } : data;
+};
+
+// A stored line the reducer can work with: an id, a whole positive quantity
+// and a price (a legacy number or Money)
+export const isValidLine = (item) =>
+  Boolean(item) &&
+  typeof item === 'object' &&
+  item.id != null &&
+  Number.isInteger(item.quantity) &&
+  item.quantity > 0 &&
+  (Number.isFinite(item.price) || Number.isInteger(item.price?.amount));
+
+const validLines = (value) => (Array.isArray(value) ? value.filter(isValidLine) : []);
+
+// Checks a stored cart before it reaches the reducer, keeping what is usable.
+// Returns { state, dropped } with `state` null when the payload is not a cart
+// at all, and `dropped` the number of discarded lines and values.
+export const sanitizeStoredCart = (data) => {
+  const cart = Array.isArray(data) ? { items: data } : data;
+  if (!cart || typeof cart !== 'object') return { state: null, dropped: 1 };
+
+  const items = validLines(cart.items);
+  const saved = validLines(cart.saved);
+  const coupons = Array.isArray(cart.coupons) ? cart.coupons.filter(code => typeof code === 'string') : [];
+  const text = (value) => (typeof value === 'string' ? value : null);
+  const state = { ...cart, items, saved, coupons, region: text(cart.region), shippingMethod: text(cart.shippingMethod) };
+
+  const count = (value) => (Array.isArray(value) ? value.length : 0);
+  const dropped = count(cart.items) - items.length +
+    count(cart.saved) - saved.length +
+    count(cart.coupons) - coupons.length +
+    ['region', 'shippingMethod'].filter(key => cart[key] != null && state[key] === null).length;
+
+  return { state, dropped };
+};
+
+// Reads a legacy localStorage cart, keeping only well-formed lines
+export const readLegacyCart = (key = LEGACY_STORAGE_KEY) => {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const stored = localStorage.getItem(key);
+    const items = stored ? parseStoredCart(stored).items : null;
+    return Array.isArray(items)
+      ? items.filter(item => item && item.id != null && Number.isInteger(item.quantity) && item.quantity > 0)
+      : [];
+  } catch (error) {
+    console.error('Ignoring unreadable legacy cart:', error);
+    return [];
+  }
+};
+
+// Numbered, append-only schema history for the cart databases.
+// Never edit a released migration; add a new one with the next version.
+//   version      the IndexedDB version this step upgrades the database to
+//   migrate(ctx) runs inside the upgrade transaction with { db, transaction, oldVersion }
+export const createCartMigrations = ({
+  storeName = 'cart',
+  legacyKey = LEGACY_STORAGE_KEY,
+} = {}) => [
+  {
+    version: 1,
+    description: 'Create the cart store and import the legacy localStorage cart',
+    migrate: ({ db, transaction, oldVersion }) => {
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, { keyPath: 'id' });
+      }
+      // First run only: adopt a cart saved before this database existed
+      if (oldVersion === 0) {
+        const store = transaction.objectStore(storeName);
+        readLegacyCart(legacyKey).forEach(item => store.put(item));
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'Index lines by the time they were added',
+    migrate: ({ transaction }) => {
+      const store = transaction.objectStore(storeName);
+      // Lines written before `addedAt` existed sort first
+      updateRecords(store, item => (item.addedAt == null ? { ...item, addedAt: 0 } : item));
+      store.createIndex('addedAt', 'addedAt');
+    },
+  },
+  {
+    version: 3,
+    description: 'Store cart attributes such as applied coupons',
+    migrate: ({ db }) => {
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    },
+  },
+  {
+    version: 4,
+    description: 'Store saved-for-later lines',
+    migrate: ({ db }) => {
+      db.createObjectStore(SAVED_STORE, { keyPath: 'id' });
+    },
+  },
+];
+
+// Cart lines in the order they were added. Sorted here rather than read
+// through the `addedAt` index so lines missing the field are never dropped.
+export const sortCartLines = (items) => items.sort((a, b) => (a.addedAt ?? 0) - (b.addedAt ?? 0));
+
+export const readCartLines = async (db, storeName = 'cart') => sortCartLines(await getAllRecords(db, storeName));
+
+export const readCartAttributes = async (db) => {
+  const transaction = db.transaction(META_STORE, 'readonly');
+  const record = await promisifyRequest(transaction.objectStore(META_STORE).get(ATTRIBUTES_KEY));
+  return record?.value ?? {};
+};
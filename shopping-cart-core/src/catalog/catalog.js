@@ -0,0 +1,132 @@
+import { openDatabase, getAllRecords, promisifyRequest, transactionDone, updateRecords } from '../idb.js';
+import { convertMoney, toMajor, toMoney, DEFAULT_CURRENCY } from '../money.js';
+
+const PRODUCTS_STORE = 'products';
+const META_STORE = 'meta';
+
+const CATALOG_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the product and metadata stores',
+    migrate: ({ db }) => {
+      const products = db.createObjectStore(PRODUCTS_STORE, { keyPath: 'id' });
+      products.createIndex('category', 'category');
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    },
+  },
+  {
+    version: 2,
+    description: 'Store prices as Money in minor units',
+    migrate: ({ transaction }) => {
+      updateRecords(transaction.objectStore(PRODUCTS_STORE), product => {
+        if (typeof product.price !== 'number') return product;
+        return {
+          ...product,
+          price: toMoney(product.price),
+          optionGroups: product.optionGroups?.map(group => ({
+            ...group,
+            options: group.options.map(option => ({
+              ...option,
+              priceModifier: Math.round((option.priceModifier ?? 0) * 100),
+            })),
+          })),
+        };
+      });
+    },
+  },
+];
+
+// Product catalog backed by a source (JSON file, mock API, ...) and cached in
+// IndexedDB, so the last fetched catalog stays browsable offline
+export const createCatalog = ({ source, dbName = 'ShoppingCatalogDB' }) => {
+  const listeners = new Set();
+  let dbPromise = null;
+
+  const getDB = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, CATALOG_MIGRATIONS);
+    }
+    return dbPromise;
+  };
+
+  const writeCache = async (products) => {
+    const db = await getDB();
+    const transaction = db.transaction([PRODUCTS_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(PRODUCTS_STORE);
+
+    store.clear();
+    products.forEach(product => store.put(product));
+    transaction.objectStore(META_STORE).put({ key: 'syncedAt', value: Date.now(), source: source.name });
+
+    await transactionDone(transaction);
+  };
+
+  return {
+    // Cached products and when they were fetched; empty before the first sync
+    readCache: async () => {
+      const db = await getDB();
+      const products = await getAllRecords(db, PRODUCTS_STORE);
+      const meta = await promisifyRequest(
+        db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get('syncedAt')
+      );
+      return { products, syncedAt: meta?.value ?? null };
+    },
+    // Fetches from the source and replaces the cache
+    refresh: async () => {
+      const products = await source.fetchAll();
+      try {
+        await writeCache(products);
+      } catch (error) {
+        console.error('Failed to cache catalog:', error);
+      }
+      listeners.forEach(listener => listener(products));
+      return products;
+    },
+    // Called with the products after every successful refresh; returns unsubscribe
+    subscribe: (onRefresh) => {
+      listeners.add(onRefresh);
+      return () => listeners.delete(onRefresh);
+    },
+  };
+};
+
+// Comparable price across currencies
+const priceKey = (product) => toMajor(convertMoney(toMoney(product.price), DEFAULT_CURRENCY));
+
+export const SORT_OPTIONS = {
+  relevance: { label: 'Featured', compare: () => 0 },
+  'name-asc': { label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) },
+  'price-asc': { label: 'Price: low to high', compare: (a, b) => priceKey(a) - priceKey(b) },
+  'price-desc': { label: 'Price: high to low', compare: (a, b) => priceKey(b) - priceKey(a) },
+};
+
+export const catalogCategories = (products) =>
+  [...new Set(products.map(product => product.category).filter(Boolean))].sort();
+
+// Filters, sorts and paginates a product list
+export const queryCatalog = (products, {
+  category = '',
+  search = '',
+  sort = 'relevance',
+  page = 1,
+  pageSize = 10,
+} = {}) => {
+  const terms = search.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matches = products.filter(product => {
+    if (category && product.category !== category) return false;
+    const text = `${product.name} ${product.sku ?? ''} ${product.category ?? ''}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+
+  const sorted = [...matches].sort((SORT_OPTIONS[sort] ?? SORT_OPTIONS.relevance).compare);
+  const pages = Math.max(1, Math.ceil(sorted.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pages);
+
+  return {
+    products: sorted.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    total: sorted.length,
+    page: currentPage,
+    pages,
+  };
+};
@@ -0,0 +1,105 @@
+import { money } from '../money.js';
+
+// Catalog sources. Each one resolves `fetchAll()` to the full product list;
+// querying, paging and offline caching happen on top of it in catalog.js.
+
+// Small bundled catalog, served as a static JSON file
+export const DEFAULT_CATALOG_URL = new URL('./products.json', import.meta.url).href;
+
+export const createJsonSource = (url = DEFAULT_CATALOG_URL) => ({
+  name: 'json',
+  fetchAll: async () => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch catalog: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    return Array.isArray(data) ? data : data.products;
+  },
+});
+
+// Products already in memory
+export const createStaticSource = (products) => ({
+  name: 'static',
+  fetchAll: async () => products,
+});
+
+const CATEGORIES = ['Computers', 'Phones', 'Audio', 'Wearables', 'Accessories', 'Storage'];
+const ADJECTIVES = ['Compact', 'Pro', 'Ultra', 'Classic', 'Wireless', 'Smart', 'Portable', 'Rugged'];
+const NOUNS = {
+  Computers: ['Laptop', 'Desktop', 'Monitor', 'Tablet'],
+  Phones: ['Smartphone', 'Phone Case', 'Screen Protector', 'Car Mount'],
+  Audio: ['Headphones', 'Earbuds', 'Speaker', 'Soundbar'],
+  Wearables: ['Smartwatch', 'Fitness Band', 'Watch Strap', 'Smart Ring'],
+  Accessories: ['Keyboard', 'Mouse', 'Charger', 'Webcam', 'USB Hub'],
+  Storage: ['SSD', 'Flash Drive', 'Memory Card', 'Hard Drive'],
+};
+const COLORS = [
+  { id: 'black', label: 'Black', priceModifier: 0, sku: 'BLK' },
+  { id: 'silver', label: 'Silver', priceModifier: 0, sku: 'SLV' },
+  { id: 'blue', label: 'Blue', priceModifier: 500, sku: 'BLU' },
+];
+
+// Deterministic PRNG so every load generates the same catalog
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const generateProducts = (count, seed = 42) => {
+  const random = seededRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  return Array.from({ length: count }, (_, index) => {
+    const category = pick(CATEGORIES);
+    const noun = pick(NOUNS[category]);
+    const id = 1000 + index;
+    const product = {
+      id,
+      name: `${pick(ADJECTIVES)} ${noun} ${id}`,
+      category,
+      // 4.99 to 1998.99
+      price: money((5 + Math.floor(random() * 1995)) * 100 - 1),
+      // grams
+      weight: 20 + Math.floor(random() * 3000),
+      // units on hand, a few products sold out
+      stock: Math.floor(random() * 50),
+      sku: `${category.slice(0, 3).toUpperCase()}${id}`,
+    };
+    if (random() < 0.25) {
+      product.optionGroups = [{ id: 'color', name: 'Color', options: COLORS }];
+    }
+    return product;
+  });
+};
+
+// Local stand-in for a paginated REST endpoint (`GET /products?page=&pageSize=`)
+// backed by generated products, with simulated network latency
+export const createMockApiSource = ({ count = 5000, pageSize = 500, latency = 150 } = {}) => {
+  let products = null;
+
+  const getPage = (page) =>
+    new Promise(resolve => {
+      products ??= generateProducts(count);
+      setTimeout(() => {
+        resolve({
+          products: products.slice(page * pageSize, (page + 1) * pageSize),
+          total: products.length,
+        });
+      }, latency);
+    });
+
+  return {
+    name: 'mock-api',
+    fetchAll: async () => {
+      const first = await getPage(0);
+      const pages = Math.ceil(first.total / pageSize);
+      const rest = await Promise.all(
+        Array.from({ length: pages - 1 }, (_, index) => getPage(index + 1))
+      );
+      return [first, ...rest].flatMap(page => page.products);
+    },
+  };
+};
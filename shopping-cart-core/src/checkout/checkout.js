@@ -0,0 +1,131 @@
+import { lineTotal } from '../cartReducer.js';
+import { convertMoney, EXCHANGE_RATES } from '../money.js';
+
+// Checkout wizard steps, in order. `fields` are the ones validated on "Next".
+// The destination region and shipping method are not fields: they are cart
+// attributes, so taxes and shipping are always priced for what is chosen.
+export const CHECKOUT_STEPS = [
+  { id: 'contact', label: 'Contact', fields: ['name', 'email'] },
+  { id: 'address', label: 'Shipping address', fields: ['line1', 'city', 'postalCode'] },
+  { id: 'shipping', label: 'Shipping method', fields: [] },
+  { id: 'payment', label: 'Payment', fields: ['cardNumber', 'expiry', 'cvc'] },
+  { id: 'review', label: 'Review', fields: [] },
+];
+
+export const emptyCheckoutDetails = {
+  name: '',
+  email: '',
+  line1: '',
+  line2: '',
+  city: '',
+  postalCode: '',
+  cardNumber: '',
+  expiry: '',
+  cvc: '',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const digitsOf = (value) => value.replace(/[\s-]/g, '');
+
+// Card numbers must pass the Luhn checksum; this is a payment stub, the
+// number is never sent anywhere and only its last four digits are kept
+const passesLuhn = (digits) => {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+};
+
+// MM/YY, valid through the end of that month
+const expiryError = (value, now) => {
+  const match = value.trim().match(/^(\d{2})\s*\/\s*(\d{2})$/);
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) return 'Use MM/YY';
+  const endOfMonth = new Date(2000 + Number(match[2]), Number(match[1]), 1);
+  return endOfMonth.getTime() <= now ? 'This card has expired' : null;
+};
+
+const FIELD_RULES = {
+  name: (value) => (value.trim() ? null : 'Enter your name'),
+  email: (value) => (EMAIL_PATTERN.test(value.trim()) ? null : 'Enter a valid email address'),
+  line1: (value) => (value.trim() ? null : 'Enter a street address'),
+  city: (value) => (value.trim() ? null : 'Enter a city'),
+  postalCode: (value) => (/^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/.test(value.trim()) ? null : 'Enter a valid postal code'),
+  cardNumber: (value) => {
+    const digits = digitsOf(value);
+    return /^\d{12,19}$/.test(digits) && passesLuhn(digits) ? null : 'Enter a valid card number';
+  },
+  expiry: (value, now) => expiryError(value, now),
+  cvc: (value) => (/^\d{3,4}$/.test(value.trim()) ? null : 'Enter the 3 or 4 digit security code'),
+};
+
+// Errors by field name for the given fields; empty when they are all valid
+export const validateCheckoutFields = (details, fields, now = Date.now()) =>
+  Object.fromEntries(
+    fields
+      .map(field => [field, FIELD_RULES[field](details[field] ?? '', now)])
+      .filter(([, error]) => error)
+  );
+
+export const validateCheckout = (details, now) =>
+  validateCheckoutFields(details, CHECKOUT_STEPS.flatMap(step => step.fields), now);
+
+const freeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(freeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+// Immutable record of a placed order: the lines and totals as they were at
+// checkout, in the currency the customer paid in. Lines keep everything the
+// cart line had (product id, options, ...) so the order can be bought again.
+export const createOrder = (state, totals, details, { currency, rates = EXCHANGE_RATES, now = Date.now() }) => {
+  const convert = (value) => convertMoney(value, currency, rates);
+  const { shipping, tax } = totals;
+
+  return freeze(structuredClone({
+    id: crypto.randomUUID(),
+    placedAt: now,
+    status: 'placed',
+    currency,
+    contact: { name: details.name.trim(), email: details.email.trim() },
+    address: {
+      line1: details.line1.trim(),
+      line2: details.line2.trim(),
+      city: details.city.trim(),
+      postalCode: details.postalCode.trim(),
+      region: totals.region,
+      regionName: tax.name,
+    },
+    payment: { method: 'card', last4: digitsOf(details.cardNumber).slice(-4) },
+    coupons: state.coupons,
+    lines: state.items.map(item => ({
+      ...item,
+      unitPrice: convert(item.price),
+      total: convert(lineTotal(item)),
+      discounts: totals.lineDiscounts[item.id] ?? [],
+    })),
+    totals: {
+      subtotal: totals.subtotal,
+      discounts: totals.discounts,
+      shipping: {
+        method: shipping.method && { id: shipping.method.id, label: shipping.method.label },
+        amount: shipping.amount,
+        free: shipping.free,
+      },
+      tax: { name: tax.name, rate: tax.rate, amount: tax.amount },
+      grandTotal: totals.grandTotal,
+    },
+  }));
+};
+
+// Short reference shown to the customer
+export const orderNumber = (order) => order.id.slice(0, 8).toUpperCase();
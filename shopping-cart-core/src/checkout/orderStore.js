@@ -0,0 +1,56 @@
+import { openDatabase, getAllRecords, promisifyRequest, transactionDone } from '../idb.js';
+
+export const ORDERS_STORE = 'orders';
+
+const ORDER_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the orders store',
+    migrate: ({ db }) => {
+      const orders = db.createObjectStore(ORDERS_STORE, { keyPath: 'id' });
+      orders.createIndex('placedAt', 'placedAt');
+    },
+  },
+];
+
+// Placed orders, kept in IndexedDB whatever strategy stores the carts.
+// Orders are immutable: they can be added and read, never changed.
+export const createOrderStore = ({ dbName = 'ShoppingOrdersDB' } = {}) => {
+  const listeners = new Set();
+  let dbPromise = null;
+
+  const getDB = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, ORDER_MIGRATIONS);
+    }
+    return dbPromise;
+  };
+
+  return {
+    // Rejects if an order with the same id was already stored
+    add: async (order) => {
+      const db = await getDB();
+      const transaction = db.transaction(ORDERS_STORE, 'readwrite');
+      transaction.objectStore(ORDERS_STORE).add(order);
+      await transactionDone(transaction);
+      listeners.forEach(listener => listener(order));
+      return order;
+    },
+    // Newest first
+    list: async () => {
+      const db = await getDB();
+      const orders = await getAllRecords(db, ORDERS_STORE);
+      return orders.sort((a, b) => b.placedAt - a.placedAt);
+    },
+    get: async (id) => {
+      const db = await getDB();
+      const order = await promisifyRequest(db.transaction(ORDERS_STORE, 'readonly').objectStore(ORDERS_STORE).get(id));
+      return order ?? null;
+    },
+    // Called with every order added in this tab; returns unsubscribe
+    subscribe: (onAdd) => {
+      listeners.add(onAdd);
+      return () => listeners.delete(onAdd);
+    },
+  };
+};
@@ -0,0 +1,61 @@
+import { createLine } from '../productOptions.js';
+
+// Puts the lines of a past order back into the cart.
+//
+// Lines are re-created from current product data in `products`, so today's
+// price and stock apply, and go through the same stock-checked `addItem` and
+// `updateQuantity` calls as the rest of the UI. `quantityOf(lineId)` reads
+// the cart as it is after each call. Returns
+//   added        [{ lineId, name, quantity, requested }]
+//   unavailable  [{ lineId, name, code, message }]
+// A line that only partly fits is listed in both, with the quantity added.
+export const reorderLines = (order, products, { addItem, updateQuantity, quantityOf }) => {
+  // Without product data (no catalog, or offline before the first sync) there
+  // is nothing to tell a discontinued product from one not loaded yet
+  if (products.length === 0) {
+    return {
+      added: [],
+      unavailable: order.lines.map(line => ({
+        lineId: line.id,
+        name: line.name,
+        code: 'CATALOG_UNAVAILABLE',
+        message: `${line.name} cannot be added until the catalog has loaded`,
+      })),
+    };
+  }
+
+  const byId = new Map(products.map(product => [product.id, product]));
+  const added = [];
+  const unavailable = [];
+
+  order.lines.forEach(line => {
+    const base = { lineId: line.id, name: line.name };
+    const product = byId.get(line.productId);
+    // An option that is no longer offered resolves to another variant
+    if (!product || createLine(product, line.options).id !== line.id) {
+      unavailable.push({ ...base, code: 'DISCONTINUED', message: `${line.name} is no longer available` });
+      return;
+    }
+
+    const before = quantityOf(line.id);
+    const first = addItem(product, line.options);
+    if (!first.ok) {
+      unavailable.push({ ...base, code: first.error.code, message: first.error.message });
+      return;
+    }
+
+    let result = line.quantity > 1 ? updateQuantity(line.id, before + line.quantity) : first;
+    // Take as many as the stock or purchase limit allows
+    if (!result.ok && result.error.max > before + 1) {
+      const { error } = result;
+      result = updateQuantity(line.id, error.max);
+      if (result.ok) result = { ok: false, error };
+    }
+
+    const quantity = quantityOf(line.id) - before;
+    added.push({ ...base, quantity, requested: line.quantity });
+    if (!result.ok) unavailable.push({ ...base, code: result.error.code, message: result.error.message });
+  });
+
+  return { added, unavailable };
+};
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import useMultiCart from '../useMultiCart.js';
+
+// Picks the cart open in this tab and creates, renames, duplicates or deletes carts
+const CartSwitcher = () => {
+  const { carts, activeCart, switchCart, createCart, renameCart, duplicateCart, deleteCart } = useMultiCart();
+  const [name, setName] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Typed name, committed on Enter or when the field loses focus
+  const commitName = () => {
+    if (name === null) return;
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== activeCart.name) renameCart(activeCart.id, trimmed);
+    setName(null);
+  };
+
+  const handleDuplicate = async () => {
+    try {
+      await duplicateCart(activeCart.id, `${activeCart.name} (copy)`);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to duplicate cart:', err);
+      setError('Could not duplicate the cart');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const deleted = await deleteCart(activeCart.id);
+      setError(deleted ? null : 'The last cart cannot be deleted');
+    } catch (err) {
+      console.error('Failed to delete cart:', err);
+      setError('Could not delete the cart');
+    }
+  };
+
+  return (
+    <div className="border p-4 rounded-lg mb-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={activeCart.id}
+          onChange={e => switchCart(e.target.value)}
+          aria-label="Active cart"
+          className="p-1 border rounded"
+        >
+          {carts.map(cart => (
+            <option key={cart.id} value={cart.id}>{cart.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={name ?? activeCart.name}
+          onChange={e => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={e => e.key === 'Enter' && commitName()}
+          aria-label="Cart name"
+          className="p-1 border rounded flex-1"
+        />
+        <button onClick={() => createCart(`Cart ${carts.length + 1}`)} className="px-3 py-1 border rounded">
+          New
+        </button>
+        <button onClick={handleDuplicate} className="px-3 py-1 border rounded">
+          Duplicate
+        </button>
+        <button
+          onClick={handleDelete}
+          disabled={carts.length <= 1}
+          className="px-3 py-1 border rounded text-red-500 disabled:opacity-50"
+        >
+          Delete
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-500 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default CartSwitcher;
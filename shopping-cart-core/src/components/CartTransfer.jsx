@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import useCart from '../useCart.js';
+import { parseCartImport, INVALID_IMPORT } from '../sharing/cartTransfer.js';
+import ImportResult from './ImportResult.jsx';
+import { downloadText } from './downloadText.js';
+
+const EXPORT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+};
+
+// Export to JSON or CSV, import from either, and a share link for the cart
+const CartTransfer = () => {
+  const { loading, currencies, exportCart, importCart, createShareLink } = useCart();
+  const [parsed, setParsed] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [result, setResult] = useState(null);
+  const [link, setLink] = useState('');
+
+  if (loading) return null;
+
+  const handleExport = (format) => {
+    downloadText(exportCart(format), `cart.${format}`, EXPORT_TYPES[format]);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setResult(null);
+    try {
+      setParsed(parseCartImport(await file.text(), currencies));
+    } catch (error) {
+      console.error('Failed to read import file:', error);
+      setParsed({ ok: false, error: { code: INVALID_IMPORT, message: 'The file could not be read.' } });
+    }
+  };
+
+  const handleImport = () => {
+    setResult(importCart(parsed.cart, mode));
+    setParsed(null);
+  };
+
+  const handleShare = () => {
+    const url = createShareLink();
+    setLink(url);
+    navigator.clipboard?.writeText(url).catch(error => console.error('Failed to copy share link:', error));
+  };
+
+  return (
+    <div className="border p-4 rounded-lg space-y-3">
+      <h2 className="text-xl font-bold">Import &amp; export</h2>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => handleExport('json')} className="px-3 py-1 border rounded">
+          Export JSON
+        </button>
+        <button onClick={() => handleExport('csv')} className="px-3 py-1 border rounded">
+          Export CSV
+        </button>
+        <button onClick={handleShare} className="px-3 py-1 border rounded">
+          Copy share link
+        </button>
+      </div>
+      {link && (
+        <input
+          type="text"
+          readOnly
+          value={link}
+          aria-label="Share link"
+          onFocus={e => e.target.select()}
+          className="w-full p-1 border rounded text-sm"
+        />
+      )}
+
+      <label className="block">
+        <span className="text-sm">Import a JSON or CSV file</span>
+        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} className="block text-sm" />
+      </label>
+      {parsed && !parsed.ok && <p className="text-sm text-red-500">{parsed.error.message}</p>}
+      {parsed?.ok && (
+        <div className="space-y-2 text-sm">
+          <p>
+            The file holds {parsed.cart.items.length} cart line{parsed.cart.items.length === 1 ? '' : 's'} and{' '}
+            {parsed.cart.saved.length} saved item{parsed.cart.saved.length === 1 ? '' : 's'}.
+            {parsed.dropped > 0 && ` ${parsed.dropped} unreadable entr${parsed.dropped === 1 ? 'y was' : 'ies were'} skipped.`}
+          </p>
+          <fieldset className="flex gap-4">
+            <label>
+              <input type="radio" name="import-mode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')} />{' '}
+              Add to my cart
+            </label>
+            <label>
+              <input type="radio" name="import-mode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} />{' '}
+              Replace my cart
+            </label>
+          </fieldset>
+          <div className="flex gap-2">
+            <button onClick={handleImport} className="px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600">
+              Import
+            </button>
+            <button onClick={() => setParsed(null)} className="px-3 py-1 border rounded">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      {result?.ok && <ImportResult result={result} />}
+      {result && !result.ok && <p className="text-sm text-red-500">{result.error.message}</p>}
+    </div>
+  );
+};
+
+export default CartTransfer;
@@ -0,0 +1,254 @@
+import { useState } from 'react';
+import useCart from '../useCart.js';
+import { lineTotal } from '../cartReducer.js';
+import {
+  CHECKOUT_STEPS,
+  emptyCheckoutDetails,
+  orderNumber,
+  validateCheckoutFields,
+} from '../checkout/checkout.js';
+
+// Text input bound to one checkout detail, with its validation error
+const Field = ({ name, label, details, errors, onChange, ...props }) => (
+  <label className="block">
+    <span className="text-sm">{label}</span>
+    <input
+      type="text"
+      name={name}
+      value={details[name]}
+      onChange={e => onChange(name, e.target.value)}
+      aria-invalid={errors[name] ? 'true' : undefined}
+      className="w-full p-1 border rounded"
+      {...props}
+    />
+    {errors[name] && <span className="block text-sm text-red-500">{errors[name]}</span>}
+  </label>
+);
+
+const ContactStep = (props) => (
+  <div className="space-y-2">
+    <Field {...props} name="name" label="Full name" autoComplete="name" />
+    <Field {...props} name="email" label="Email" type="email" autoComplete="email" />
+  </div>
+);
+
+// The region is a cart attribute, so taxes follow it as soon as it changes
+const AddressStep = (props) => {
+  const { region, regions, setRegion } = useCart();
+
+  return (
+    <div className="space-y-2">
+      <Field {...props} name="line1" label="Street address" autoComplete="address-line1" />
+      <Field {...props} name="line2" label="Apartment, suite, etc. (optional)" autoComplete="address-line2" />
+      <div className="grid grid-cols-2 gap-2">
+        <Field {...props} name="city" label="City" autoComplete="address-level2" />
+        <Field {...props} name="postalCode" label="Postal code" autoComplete="postal-code" />
+      </div>
+      <label className="block">
+        <span className="text-sm">Region</span>
+        <select value={region} onChange={e => setRegion(e.target.value)} className="w-full p-1 border rounded">
+          {regions.map(({ code, name }) => (
+            <option key={code} value={code}>{name}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+const ShippingStep = () => {
+  const { shippingMethod, shippingMethods, setShippingMethod, totals, formatPrice } = useCart();
+
+  return (
+    <fieldset className="space-y-1">
+      {shippingMethods.map(method => (
+        <label key={method.id} className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="shippingMethod"
+            checked={shippingMethod?.id === method.id}
+            onChange={() => setShippingMethod(method.id)}
+          />
+          <span>{method.label}</span>
+          {shippingMethod?.id === method.id && (
+            <span className="text-sm text-gray-500">
+              {totals.shipping.free ? 'Free' : formatPrice(totals.shipping.amount)}
+            </span>
+          )}
+        </label>
+      ))}
+    </fieldset>
+  );
+};
+
+// Payment stub: the card is checked but never charged, only its last four digits are kept
+const PaymentStep = (props) => (
+  <div className="space-y-2">
+    <Field {...props} name="cardNumber" label="Card number" inputMode="numeric" autoComplete="cc-number" />
+    <div className="grid grid-cols-2 gap-2">
+      <Field {...props} name="expiry" label="Expiry (MM/YY)" autoComplete="cc-exp" />
+      <Field {...props} name="cvc" label="Security code" inputMode="numeric" autoComplete="cc-csc" />
+    </div>
+    <p className="text-sm text-gray-500">Demo checkout: no payment is taken.</p>
+  </div>
+);
+
+const ReviewStep = ({ details }) => {
+  const { items, totals, region, regions, shippingMethod, formatPrice } = useCart();
+  const regionName = regions.find(({ code }) => code === region)?.name ?? region;
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm">
+        {details.name} ({details.email})<br />
+        {details.line1}{details.line2 && `, ${details.line2}`}, {details.city} {details.postalCode}, {regionName}<br />
+        {shippingMethod?.label} · Card ending {details.cardNumber.replace(/[\s-]/g, '').slice(-4)}
+      </p>
+      <ul className="text-sm">
+        {items.map(item => (
+          <li key={item.id} className="flex justify-between">
+            <span>{item.quantity} × {item.name}{item.variant && ` (${item.variant})`}</span>
+            <span>{formatPrice(lineTotal(item))}</span>
+          </li>
+        ))}
+      </ul>
+      <p className="flex justify-between font-bold border-t pt-1">
+        <span>Total</span>
+        <span>{formatPrice(totals.grandTotal)}</span>
+      </p>
+    </div>
+  );
+};
+
+const STEP_COMPONENTS = {
+  contact: ContactStep,
+  address: AddressStep,
+  shipping: ShippingStep,
+  payment: PaymentStep,
+  review: ReviewStep,
+};
+
+// Checkout wizard: contact, address, shipping method, payment and review.
+// Each step is validated before moving on; placing the order empties the cart.
+const Checkout = () => {
+  const { items, loading, canCheckout, placeOrder, formatPrice } = useCart();
+  const [open, setOpen] = useState(false);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [details, setDetails] = useState(emptyCheckoutDetails);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [order, setOrder] = useState(null);
+
+  if (!canCheckout || loading) return null;
+
+  if (order) {
+    return (
+      <div role="status" className="border p-4 rounded-lg">
+        <h2 className="text-xl font-bold mb-2">Thank you for your order</h2>
+        <p>
+          Order <strong>{orderNumber(order)}</strong> for {formatPrice(order.totals.grandTotal)} was placed.
+          A confirmation goes to {order.contact.email}.
+        </p>
+        <button onClick={() => setOrder(null)} className="mt-2 px-3 py-1 border rounded">
+          Continue shopping
+        </button>
+      </div>
+    );
+  }
+
+  if (items.length === 0) return null;
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="w-full px-4 py-2 rounded bg-blue-500 text-white hover:bg-blue-600 transition-colors"
+      >
+        Proceed to checkout
+      </button>
+    );
+  }
+
+  const step = CHECKOUT_STEPS[stepIndex];
+  const StepComponent = STEP_COMPONENTS[step.id];
+  const isLast = stepIndex === CHECKOUT_STEPS.length - 1;
+
+  const handleChange = (name, value) => {
+    setDetails(current => ({ ...current, [name]: value }));
+    setErrors(current => ({ ...current, [name]: undefined }));
+  };
+
+  const handleNext = async (e) => {
+    e.preventDefault();
+    const stepErrors = validateCheckoutFields(details, step.fields);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length > 0) return;
+    if (!isLast) {
+      setStepIndex(stepIndex + 1);
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await placeOrder(details);
+    setSubmitting(false);
+    if (result.ok) {
+      setOrder(result.order);
+      setOpen(false);
+      setStepIndex(0);
+      setDetails(emptyCheckoutDetails);
+      setError(null);
+      return;
+    }
+    setError(result.error.message);
+    // Send the customer back to the first step with a bad field
+    const fields = Object.keys(result.error.fields);
+    if (fields.length > 0) {
+      setErrors(result.error.fields);
+      setStepIndex(CHECKOUT_STEPS.findIndex(candidate => candidate.fields.some(field => fields.includes(field))));
+    }
+  };
+
+  return (
+    <form onSubmit={handleNext} noValidate className="border p-4 rounded-lg">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Checkout</h2>
+        <button type="button" onClick={() => setOpen(false)} className="text-gray-500 hover:text-gray-600">
+          Cancel
+        </button>
+      </div>
+      <ol className="flex flex-wrap gap-2 text-sm mb-4">
+        {CHECKOUT_STEPS.map((candidate, index) => (
+          <li
+            key={candidate.id}
+            aria-current={index === stepIndex ? 'step' : undefined}
+            className={index === stepIndex ? 'font-bold' : 'text-gray-500'}
+          >
+            {index + 1}. {candidate.label}
+          </li>
+        ))}
+      </ol>
+      <StepComponent details={details} errors={errors} onChange={handleChange} />
+      {error && <p role="alert" className="text-sm text-red-500 mt-2">{error}</p>}
+      <div className="flex justify-between mt-4">
+        <button
+          type="button"
+          onClick={() => setStepIndex(stepIndex - 1)}
+          disabled={stepIndex === 0}
+          className="px-3 py-1 border rounded disabled:opacity-50"
+        >
+          Back
+        </button>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-4 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 transition-colors disabled:opacity-50"
+        >
+          {isLast ? (submitting ? 'Placing order...' : 'Place order') : 'Next'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default Checkout;
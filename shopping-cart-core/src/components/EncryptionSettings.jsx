@@ -0,0 +1,53 @@
+import useCart from '../useCart.js';
+import useMultiCart from '../useMultiCart.js';
+import { DECRYPT_FAILED } from '../adapters/storageSupport.js';
+import PassphraseForm from './PassphraseForm.jsx';
+
+// Encryption of the carts in a registry: unlocks carts whose passphrase was
+// changed in another tab, and changes the passphrase or the device key.
+// With `onEnable(passphrase)` it offers to encrypt carts stored in plain text;
+// the app then opens them through a registry with that passphrase.
+const EncryptionSettings = ({ onEnable }) => {
+  const { error } = useCart();
+  const { encrypted, passphraseProtected, rotateEncryptionKey, unlockEncryption } = useMultiCart();
+
+  if (!encrypted && !onEnable) return null;
+
+  const handleUnlock = async (passphrase) => {
+    const unlocked = await unlockEncryption(passphrase);
+    return unlocked ? null : 'That passphrase does not open your carts';
+  };
+
+  const handleRotate = async (passphrase) => {
+    await rotateEncryptionKey(passphrase);
+  };
+
+  const renderControls = () => {
+    if (!encrypted) {
+      return <PassphraseForm label="Encrypt your carts with a passphrase" submitLabel="Encrypt" onSubmit={onEnable} />;
+    }
+    if (!passphraseProtected) {
+      return (
+        <div className="flex items-center gap-2">
+          <span className="text-sm flex-1">Your carts are encrypted with a key kept on this device.</span>
+          <button onClick={() => handleRotate()} className="px-3 py-1 border rounded">
+            New key
+          </button>
+        </div>
+      );
+    }
+    if (error?.code === DECRYPT_FAILED) {
+      return <PassphraseForm label="Enter the current passphrase" submitLabel="Unlock" onSubmit={handleUnlock} />;
+    }
+    return <PassphraseForm label="New passphrase" submitLabel="Change" onSubmit={handleRotate} />;
+  };
+
+  return (
+    <div className="border p-4 rounded-lg mb-6 space-y-2">
+      <h2 className="text-xl font-bold">Encryption</h2>
+      {renderControls()}
+    </div>
+  );
+};
+
+export default EncryptionSettings;
@@ -0,0 +1,19 @@
+// What an import or adoption did, and the lines that did not fully fit
+const ImportResult = ({ result }) => (
+  <div role="status" className="p-2 mt-2 border rounded bg-gray-100 text-sm">
+    <p>
+      {result.added > 0
+        ? `Imported ${result.added} line${result.added === 1 ? '' : 's'} into your cart.`
+        : 'No lines were added to your cart.'}
+    </p>
+    {result.limited.length > 0 && (
+      <ul className="list-disc pl-5 mt-1 text-red-500">
+        {result.limited.map(line => (
+          <li key={line.lineId}>{line.message}</li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default ImportResult;
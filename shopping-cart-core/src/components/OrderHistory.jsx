@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import useCart from '../useCart.js';
+import useOrders from '../useOrders.js';
+import { orderNumber } from '../checkout/checkout.js';
+import { formatMoney } from '../money.js';
+
+const formatDate = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const itemCount = (order) => order.lines.reduce((sum, line) => sum + line.quantity, 0);
+
+// What "Reorder" did: how many units went into the cart and which lines did not fit
+const ReorderResult = ({ result }) => {
+  const units = result.added.reduce((sum, line) => sum + line.quantity, 0);
+
+  return (
+    <div role="status" className="p-2 my-2 border rounded bg-gray-100 text-sm">
+      <p>{units > 0 ? `Added ${units} item${units === 1 ? '' : 's'} to your cart.` : 'Nothing was added to your cart.'}</p>
+      {result.unavailable.length > 0 && (
+        <ul className="list-disc pl-5 mt-1 text-red-500">
+          {result.unavailable.map(line => (
+            <li key={line.lineId}>{line.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Lines, totals, address and payment of one order, as they were when it was placed
+const OrderDetail = ({ order, onBack }) => {
+  const { reorder } = useCart();
+  const [result, setResult] = useState(null);
+  const { totals, address } = order;
+
+  return (
+    <div>
+      <button onClick={onBack} className="text-blue-500 hover:text-blue-600 mb-2">
+        ← All orders
+      </button>
+      <h3 className="font-semibold">Order {orderNumber(order)}</h3>
+      <p className="text-sm text-gray-500">Placed {formatDate(order.placedAt)}</p>
+      <ul className="my-2 space-y-1">
+        {order.lines.map(line => (
+          <li key={line.id} className="flex justify-between">
+            <span>
+              {line.quantity} × {line.name}
+              {line.variant && <span className="text-sm text-gray-500"> ({line.variant})</span>}
+            </span>
+            <span>{formatMoney(line.total)}</span>
+          </li>
+        ))}
+      </ul>
+      <div className="pt-2 border-t space-y-1 text-sm">
+        <p className="flex justify-between">
+          <span>Subtotal</span>
+          <span>{formatMoney(totals.subtotal)}</span>
+        </p>
+        {totals.discounts.map(discount => (
+          <p key={discount.promotionId} className="flex justify-between text-green-600">
+            <span>{discount.label}</span>
+            <span>−{formatMoney(discount.amount)}</span>
+          </p>
+        ))}
+        <p className="flex justify-between">
+          <span>Shipping{totals.shipping.method ? ` (${totals.shipping.method.label})` : ''}</span>
+          <span>{totals.shipping.free ? 'Free' : formatMoney(totals.shipping.amount)}</span>
+        </p>
+        <p className="flex justify-between">
+          <span>Tax ({totals.tax.name})</span>
+          <span>{formatMoney(totals.tax.amount)}</span>
+        </p>
+        <p className="flex justify-between font-bold text-base">
+          <span>Total</span>
+          <span>{formatMoney(totals.grandTotal)}</span>
+        </p>
+      </div>
+      <p className="text-sm mt-2">
+        Shipped to {order.contact.name}, {address.line1}{address.line2 && `, ${address.line2}`}, {address.city}{' '}
+        {address.postalCode}, {address.regionName}. Paid by card ending {order.payment.last4}.
+      </p>
+      {result && <ReorderResult result={result} />}
+      <button onClick={() => setResult(reorder(order))} className="mt-2 px-3 py-1 border rounded">
+        Reorder
+      </button>
+    </div>
+  );
+};
+
+// Past orders, newest first; selecting one opens its details
+const OrderHistory = ({ orders }) => {
+  const { orders: list, loading, error } = useOrders(orders);
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = list.find(order => order.id === selectedId);
+
+  return (
+    <div className="border p-4 rounded-lg">
+      <h2 className="text-xl font-bold mb-4">Order History</h2>
+      {error && <p className="text-red-500">Could not load your orders</p>}
+      {selected ? (
+        <OrderDetail key={selected.id} order={selected} onBack={() => setSelectedId(null)} />
+      ) : loading ? (
+        <p className="text-gray-500">Loading orders...</p>
+      ) : list.length === 0 ? (
+        <p className="text-gray-500">You have not placed any orders yet</p>
+      ) : (
+        <ul className="space-y-2">
+          {list.map(order => (
+            <li key={order.id}>
+              <button
+                onClick={() => setSelectedId(order.id)}
+                className="w-full flex justify-between items-center p-2 border rounded text-left hover:bg-gray-50"
+              >
+                <span>
+                  <span className="font-semibold">Order {orderNumber(order)}</span>
+                  <span className="block text-sm text-gray-500">
+                    {formatDate(order.placedAt)} · {itemCount(order)} item{itemCount(order) === 1 ? '' : 's'}
+                  </span>
+                  <span className="block text-sm">
+                    {order.lines.map(line => (line.quantity > 1 ? `${line.name} ×${line.quantity}` : line.name)).join(', ')}
+                  </span>
+                </span>
+                <span>{formatMoney(order.totals.grandTotal)}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrderHistory;
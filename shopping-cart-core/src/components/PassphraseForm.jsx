@@ -0,0 +1,52 @@
+import { useState } from 'react';
+
+// A passphrase field with one button. `onSubmit(passphrase)` resolves to an
+// error message to show, or to nothing when it went through.
+const PassphraseForm = ({ label, submitLabel, onSubmit }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    setBusy(true);
+    try {
+      const message = await onSubmit(passphrase);
+      setError(message ?? null);
+      if (!message) setPassphrase('');
+    } catch (err) {
+      console.error('Passphrase not accepted:', err);
+      setError('Something went wrong, please try again');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-1">
+      <label className="block">
+        <span className="text-sm">{label}</span>
+        <div className="flex gap-2">
+          <input
+            type="password"
+            value={passphrase}
+            onChange={e => setPassphrase(e.target.value)}
+            autoComplete="current-password"
+            className="p-1 border rounded flex-1"
+          />
+          <button
+            type="submit"
+            disabled={busy || !passphrase}
+            className="px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+          >
+            {submitLabel}
+          </button>
+        </div>
+      </label>
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </form>
+  );
+};
+
+export default PassphraseForm;
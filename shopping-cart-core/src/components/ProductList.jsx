@@ -0,0 +1,163 @@
+import { useState, useMemo } from 'react';
+import useCart from '../useCart.js';
+import useCatalog from '../useCatalog.js';
+import { createLine, resolveOptions, variantPrice, variantSku } from '../productOptions.js';
+import { money, toMoney } from '../money.js';
+import { stockStatus } from '../inventory.js';
+import { queryCatalog, catalogCategories, SORT_OPTIONS } from '../catalog/catalog.js';
+
+const PAGE_SIZE = 10;
+
+// Single product with its option picker and stock level
+const ProductCard = ({ product }) => {
+  const { addItem, saved, addToWishlist, removeSaved, formatPrice } = useCart();
+  const [selected, setSelected] = useState({});
+  const [error, setError] = useState(null);
+  const choices = resolveOptions(product, selected);
+  const { currency } = toMoney(product.price);
+  const { status, remaining } = stockStatus(product);
+  const lineId = createLine(product, selected).id;
+  const isSaved = saved.some(item => item.id === lineId);
+
+  const handleAdd = () => {
+    const result = addItem(product, selected);
+    setError(result.ok ? null : result.error.message);
+  };
+
+  return (
+    <div className="flex justify-between items-center p-2 border rounded">
+      <div>
+        <h3 className="font-semibold">{product.name}</h3>
+        <p className="text-gray-600">{formatPrice(variantPrice(product, selected))}</p>
+        {choices.length > 0 && (
+          <div className="flex space-x-2 mt-2">
+            {choices.map(({ group, option }) => (
+              <label key={group.id} className="text-sm">
+                {group.name}{' '}
+                <select
+                  value={option.id}
+                  onChange={e => setSelected(prev => ({ ...prev, [group.id]: e.target.value }))}
+                  className="p-1 border rounded"
+                >
+                  {group.options.map(choice => (
+                    <option key={choice.id} value={choice.id}>
+                      {choice.label}
+                      {choice.priceModifier ? ` (+${formatPrice(money(choice.priceModifier, currency))})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+        <p className="text-xs text-gray-400">SKU {variantSku(product, selected)}</p>
+        {status === 'out' && <p className="text-sm text-red-500">Out of stock</p>}
+        {status === 'low' && <p className="text-sm text-yellow-600">Only {remaining} left</p>}
+        {error && <p className="text-sm text-red-500">{error}</p>}
+      </div>
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => (isSaved ? removeSaved(lineId) : addToWishlist(product, selected))}
+          aria-pressed={isSaved}
+          aria-label={isSaved ? 'Remove from wishlist' : 'Add to wishlist'}
+          className="px-2 py-2 border rounded text-red-500 hover:bg-gray-100 transition-colors"
+        >
+          {isSaved ? '♥' : '♡'}
+        </button>
+        <button
+          onClick={handleAdd}
+          disabled={status === 'out'}
+          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors disabled:opacity-50"
+        >
+          {status === 'out' ? 'Sold Out' : 'Add to Cart'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Product List Component
+const ProductList = ({ catalog }) => {
+  const { products, loading, offline } = useCatalog(catalog);
+  const [query, setQuery] = useState({ category: '', search: '', sort: 'relevance', page: 1 });
+
+  const categories = useMemo(() => catalogCategories(products), [products]);
+  const result = useMemo(
+    () => queryCatalog(products, { ...query, pageSize: PAGE_SIZE }),
+    [products, query]
+  );
+
+  // Any filter change starts again from the first page
+  const updateQuery = (changes) => setQuery(prev => ({ ...prev, page: 1, ...changes }));
+
+  return (
+    <div className="border p-4 rounded-lg">
+      <h2 className="text-xl font-bold mb-4">Products</h2>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="search"
+          placeholder="Search products"
+          value={query.search}
+          onChange={e => updateQuery({ search: e.target.value })}
+          className="p-1 border rounded flex-1"
+        />
+        <select
+          value={query.category}
+          onChange={e => updateQuery({ category: e.target.value })}
+          className="p-1 border rounded"
+        >
+          <option value="">All categories</option>
+          {categories.map(category => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </select>
+        <select
+          value={query.sort}
+          onChange={e => updateQuery({ sort: e.target.value })}
+          className="p-1 border rounded"
+        >
+          {Object.entries(SORT_OPTIONS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {offline && (
+        <p className="text-sm text-yellow-600 mb-2">Offline: showing the cached catalog</p>
+      )}
+      {loading ? (
+        <p className="text-gray-500">Loading products...</p>
+      ) : result.total === 0 ? (
+        <p className="text-gray-500">No products found</p>
+      ) : (
+        <>
+          <div className="space-y-4">
+            {result.products.map(product => (
+              <ProductCard key={product.id} product={product} />
+            ))}
+          </div>
+          <div className="flex justify-between items-center mt-4">
+            <button
+              onClick={() => setQuery(prev => ({ ...prev, page: result.page - 1 }))}
+              disabled={result.page <= 1}
+              className="px-3 py-1 border rounded disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {result.page} of {result.pages} ({result.total} products)
+            </span>
+            <button
+              onClick={() => setQuery(prev => ({ ...prev, page: result.page + 1 }))}
+              disabled={result.page >= result.pages}
+              className="px-3 py-1 border rounded disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProductList;
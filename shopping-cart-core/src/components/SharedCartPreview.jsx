@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import useCart from '../useCart.js';
+import { lineTotal } from '../cartReducer.js';
+import { clearShareLink, readShareLink } from '../sharing/shareLink.js';
+import ImportResult from './ImportResult.jsx';
+
+// A cart opened from a share link: its lines at current prices, with
+// "Add to my cart" and "Replace my cart" to adopt it into the local cart
+const SharedCartPreview = () => {
+  const { loading, previewSharedCart, importCart, formatPrice } = useCart();
+  const [link, setLink] = useState(() => readShareLink());
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      setLink(readShareLink());
+      setResult(null);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const dismiss = () => {
+    clearShareLink();
+    setLink(null);
+  };
+
+  if (result) {
+    return (
+      <div className="border p-4 rounded-lg mb-6">
+        {result.ok ? <ImportResult result={result} /> : <p className="text-red-500">{result.error.message}</p>}
+        <button onClick={() => setResult(null)} className="mt-2 px-3 py-1 border rounded">
+          Close
+        </button>
+      </div>
+    );
+  }
+
+  if (!link) return null;
+
+  if (!link.ok) {
+    return (
+      <div role="alert" className="flex justify-between items-center p-2 mb-6 border border-red-300 rounded bg-red-50 text-sm">
+        <span>{link.error.message}</span>
+        <button onClick={dismiss} className="text-blue-500 hover:text-blue-600 font-semibold">
+          Dismiss
+        </button>
+      </div>
+    );
+  }
+
+  const { lines, unavailable } = previewSharedCart(link.share);
+
+  const adopt = (mode) => {
+    const outcome = importCart({ items: lines, coupons: link.share.coupons }, mode);
+    if (outcome.ok) dismiss();
+    setResult(outcome);
+  };
+
+  return (
+    <div className="border-2 border-blue-300 p-4 rounded-lg mb-6">
+      <h2 className="text-xl font-bold mb-2">Shared cart</h2>
+      {lines.length > 0 && (
+        <ul className="space-y-1">
+          {lines.map(line => (
+            <li key={line.id} className="flex justify-between">
+              <span>
+                {line.quantity} × {line.name}
+                {line.variant && <span className="text-sm text-gray-500"> ({line.variant})</span>}
+              </span>
+              <span>{formatPrice(lineTotal(line))}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {link.share.coupons.length > 0 && (
+        <p className="text-sm mt-1">Coupons: {link.share.coupons.join(', ')}</p>
+      )}
+      {unavailable.length > 0 && (
+        <ul className="list-disc pl-5 mt-2 text-sm text-red-500">
+          {unavailable.map(line => (
+            <li key={line.productId}>{line.message}</li>
+          ))}
+        </ul>
+      )}
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={() => adopt('merge')}
+          disabled={loading || lines.length === 0}
+          className="px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:bg-gray-300"
+        >
+          Add to my cart
+        </button>
+        <button
+          onClick={() => adopt('replace')}
+          disabled={loading || lines.length === 0}
+          className="px-3 py-1 border rounded disabled:text-gray-400"
+        >
+          Replace my cart
+        </button>
+        <button onClick={dismiss} className="px-3 py-1 border rounded">
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SharedCartPreview;
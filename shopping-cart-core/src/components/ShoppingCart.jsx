@@ -0,0 +1,399 @@
+import { useState, useEffect } from 'react';
+import useCart from '../useCart.js';
+import { REMOVE_ITEM, CLEAR_CART, EXPIRE_CART } from '../cartReducer.js';
+import { storageLabel } from '../adapters/storageSupport.js';
+
+// Mutations that get an undo toast, and how long it stays
+const TOAST_ACTIONS = [REMOVE_ITEM, CLEAR_CART, EXPIRE_CART];
+const TOAST_DURATION = 6000;
+
+// "Item removed — Undo" notice after removals
+const UndoToast = () => {
+  const { lastChange, undo } = useCart();
+  const [dismissed, setDismissed] = useState(null);
+
+  useEffect(() => {
+    if (!lastChange) return;
+    const timeout = setTimeout(() => setDismissed(lastChange.id), TOAST_DURATION);
+    return () => clearTimeout(timeout);
+  }, [lastChange]);
+
+  if (!lastChange || dismissed === lastChange.id || !TOAST_ACTIONS.includes(lastChange.type)) {
+    return null;
+  }
+
+  return (
+    <div role="status" className="flex justify-between items-center p-2 mb-4 border rounded bg-gray-100">
+      <span>{lastChange.label}</span>
+      <button onClick={undo} className="text-blue-500 hover:text-blue-600 font-semibold">
+        Undo
+      </button>
+    </div>
+  );
+};
+
+// Storage failures and recoveries, and where the cart is kept after a fallback
+const StorageNotice = () => {
+  const { storage, storageMode, error, dismissError } = useCart();
+  const fellBack = storageMode && storageMode !== storage;
+
+  if (!error && !fellBack) return null;
+
+  return (
+    <div role="alert" className="p-2 mb-4 border border-red-300 rounded bg-red-50 text-sm">
+      {error && (
+        <div className="flex justify-between items-center">
+          <span>{error.message}</span>
+          <button onClick={dismissError} className="text-blue-500 hover:text-blue-600 font-semibold">
+            Dismiss
+          </button>
+        </div>
+      )}
+      {fellBack && !error && <span>Your cart is kept in {storageLabel(storageMode)}.</span>}
+    </div>
+  );
+};
+
+// Coupon entry and the list of applied codes
+const CouponForm = () => {
+  const { coupons, applyCoupon, removeCoupon } = useCart();
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const result = applyCoupon(code);
+    setError(result.ok ? null : result.error.message);
+    if (result.ok) setCode('');
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <input
+          type="text"
+          placeholder="Coupon code"
+          value={code}
+          onChange={e => setCode(e.target.value)}
+          className="p-1 border rounded flex-1"
+        />
+        <button type="submit" className="px-3 py-1 border rounded">
+          Apply
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-500 mt-1">{error}</p>}
+      {coupons.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {coupons.map(coupon => (
+            <span key={coupon} className="text-sm border rounded px-2">
+              {coupon}{' '}
+              <button
+                onClick={() => removeCoupon(coupon)}
+                aria-label={`Remove coupon ${coupon}`}
+                className="text-red-500 hover:text-red-600"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const describeChange = (change, formatPrice) => {
+  switch (change.type) {
+    case 'price':
+      return `${change.name}: price changed from ${formatPrice(change.before)} to ${formatPrice(change.after)}`;
+    case 'quantity':
+      return `${change.name}: only ${change.after} can be ordered, quantity will drop from ${change.before}`;
+    case 'unavailable':
+      return `${change.name} is out of stock and will be moved to Saved for later`;
+    default:
+      return `${change.name} is no longer available and will be removed`;
+  }
+};
+
+// Lines whose price or availability changed since they were added
+const CartChanges = () => {
+  const { pendingChanges, acceptChanges, formatPrice } = useCart();
+
+  if (pendingChanges.length === 0) return null;
+
+  return (
+    <div role="alert" className="p-2 mb-4 border border-yellow-500 rounded bg-yellow-50">
+      <p className="font-semibold">Some items in your cart have changed</p>
+      <ul className="text-sm list-disc pl-5 my-2">
+        {pendingChanges.map(change => (
+          <li key={`${change.type}:${change.lineId}`}>{describeChange(change, formatPrice)}</li>
+        ))}
+      </ul>
+      <button onClick={acceptChanges} className="px-3 py-1 border rounded bg-white">
+        Accept changes
+      </button>
+    </div>
+  );
+};
+
+// Quantity field that keeps what was typed while it is being edited and says
+// why a quantity was rejected
+const QuantityInput = ({ item }) => {
+  const { updateQuantity } = useCart();
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { value } = e.target;
+    setDraft(value);
+    if (value === '') return;
+    const result = updateQuantity(item.id, Number(value));
+    setError(result.ok ? null : result.error.message);
+  };
+
+  return (
+    <div>
+      <input
+        type="number"
+        min="1"
+        value={draft ?? item.quantity}
+        onChange={handleChange}
+        onBlur={() => setDraft(null)}
+        aria-invalid={error ? 'true' : undefined}
+        className="w-16 p-1 border rounded"
+      />
+      {error && <p className="text-sm text-red-500 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+// Saved-for-later lines, each of which can go back into the cart
+const SavedForLater = () => {
+  const { saved, moveToCart, removeSaved, formatPrice } = useCart();
+  const [errors, setErrors] = useState({});
+
+  if (saved.length === 0) return null;
+
+  const handleMove = (lineId) => {
+    const result = moveToCart(lineId);
+    setErrors(prev => ({ ...prev, [lineId]: result.ok ? null : result.error.message }));
+  };
+
+  return (
+    <div className="pt-4 mt-4 border-t">
+      <h3 className="font-semibold mb-2">Saved for later ({saved.length})</h3>
+      <div className="space-y-2">
+        {saved.map(item => (
+          <div key={item.id} className="flex justify-between items-center p-2 border rounded">
+            <div>
+              <p>{item.name}{item.quantity > 1 ? ` × ${item.quantity}` : ''}</p>
+              {item.variant && <p className="text-sm text-gray-500">{item.variant}</p>}
+              <p className="text-gray-600">{formatPrice(item.price)}</p>
+              {errors[item.id] && <p className="text-sm text-red-500">{errors[item.id]}</p>}
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => handleMove(item.id)}
+                className="text-blue-500 hover:text-blue-600 transition-colors"
+              >
+                Move to cart
+              </button>
+              <button
+                onClick={() => removeSaved(item.id)}
+                className="text-red-500 hover:text-red-600 transition-colors"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Destination region and shipping method, saved with the cart
+const ShippingOptions = () => {
+  const { region, regions, setRegion, shippingMethod, shippingMethods, setShippingMethod } = useCart();
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      <label className="text-sm">
+        Ship to{' '}
+        <select value={region} onChange={e => setRegion(e.target.value)} className="p-1 border rounded">
+          {regions.map(({ code, name }) => (
+            <option key={code} value={code}>{name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="text-sm">
+        Shipping{' '}
+        <select
+          value={shippingMethod?.id ?? ''}
+          onChange={e => setShippingMethod(e.target.value)}
+          className="p-1 border rounded"
+        >
+          {shippingMethods.map(method => (
+            <option key={method.id} value={method.id}>{method.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+// Subtotal, discount breakdown, shipping, tax and grand total
+const CartSummary = () => {
+  const { totals, formatPrice } = useCart();
+  const { shipping, tax } = totals;
+
+  return (
+    <div className="pt-4 border-t space-y-1">
+      <p className="flex justify-between">
+        <span>Subtotal</span>
+        <span>{formatPrice(totals.subtotal)}</span>
+      </p>
+      {totals.discounts.map(discount => (
+        <p key={discount.promotionId} className="flex justify-between text-green-600">
+          <span>{discount.label}</span>
+          <span>−{formatPrice(discount.amount)}</span>
+        </p>
+      ))}
+      <p className="flex justify-between">
+        <span>Shipping{shipping.method ? ` (${shipping.method.label})` : ''}</span>
+        <span>{shipping.free ? `Free: ${shipping.label}` : formatPrice(shipping.amount)}</span>
+      </p>
+      <p className="flex justify-between">
+        <span>Tax ({tax.name}, {(tax.rate * 100).toFixed(2).replace(/\.?0+$/, '')}%)</span>
+        <span>{formatPrice(tax.amount)}</span>
+      </p>
+      <p className="flex justify-between text-xl font-bold">
+        <span>Total</span>
+        <span>{formatPrice(totals.grandTotal)}</span>
+      </p>
+    </div>
+  );
+};
+
+// Shopping Cart Component
+const ShoppingCart = () => {
+  const {
+    items,
+    loading,
+    removeItem,
+    saveForLater,
+    clearCart,
+    totals,
+    pendingChanges,
+    currency,
+    currencies,
+    setCurrency,
+    formatPrice,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+  } = useCart();
+
+  if (loading) {
+    return (
+      <div className="border p-4 rounded-lg">
+        <h2 className="text-xl font-bold mb-4">Shopping Cart</h2>
+        <p className="text-gray-500">Loading cart...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border p-4 rounded-lg">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Shopping Cart</h2>
+        <div className="flex items-center space-x-2">
+          <select
+            value={currency}
+            onChange={e => setCurrency(e.target.value)}
+            aria-label="Currency"
+            className="p-1 border rounded"
+          >
+            {currencies.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            title={undoLabel ? `Undo: ${undoLabel}` : undefined}
+            className="px-2 py-1 border rounded disabled:opacity-50"
+          >
+            Undo
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            title={redoLabel ? `Redo: ${redoLabel}` : undefined}
+            className="px-2 py-1 border rounded disabled:opacity-50"
+          >
+            Redo
+          </button>
+          {items.length > 0 && (
+            <button
+              onClick={clearCart}
+              className="text-red-500 hover:text-red-600 transition-colors"
+            >
+              Clear Cart
+            </button>
+          )}
+        </div>
+      </div>
+      <StorageNotice />
+      <UndoToast />
+      <CartChanges />
+      {items.length === 0 ? (
+        <p className="text-gray-500">Your cart is empty</p>
+      ) : (
+        <div className="space-y-4">
+          {items.map(item => (
+            <div key={item.id} className="flex justify-between items-center p-2 border rounded">
+              <div>
+                <h3 className="font-semibold">{item.name}</h3>
+                {item.variant && <p className="text-sm text-gray-500">{item.variant}</p>}
+                <p className="text-gray-600">{formatPrice(item.price)}</p>
+                {pendingChanges.some(change => change.lineId === item.id) && (
+                  <p className="text-sm text-yellow-600">Changed in the catalog</p>
+                )}
+                {totals.lineDiscounts[item.id]?.map(discount => (
+                  <p key={discount.promotionId} className="text-sm text-green-600">
+                    {discount.label}: −{formatPrice(discount.amount)}
+                  </p>
+                ))}
+              </div>
+              <div className="flex items-center space-x-2">
+                <QuantityInput item={item} />
+                <button
+                  onClick={() => saveForLater(item.id)}
+                  className="text-blue-500 hover:text-blue-600 transition-colors"
+                >
+                  Save for later
+                </button>
+                <button
+                  onClick={() => removeItem(item.id)}
+                  className="text-red-500 hover:text-red-600 transition-colors"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+          <CouponForm />
+          <ShippingOptions />
+          <CartSummary />
+        </div>
+      )}
+      <SavedForLater />
+    </div>
+  );
+};
+
+export default ShoppingCart;
@@ -0,0 +1,199 @@
+import { useState, useRef } from 'react';
+import {
+  runCartBenchmark,
+  benchmarkResultsToCSV,
+  benchmarkResultsToJSON,
+  BENCHMARK_SIZES,
+  BENCHMARK_STRATEGIES,
+} from '../benchmark/cartBenchmark.jsx';
+import { storageLabel } from '../adapters/storageSupport.js';
+import { downloadText } from './downloadText.js';
+
+const EXPORT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+};
+
+const formatMs = (value) => (value == null ? '—' : `${value} ms`);
+
+const formatStat = (stat) => (stat ? `${stat.median} / ${stat.p95} ms` : '—');
+
+const formatBytes = (bytes) => {
+  if (bytes == null) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Toggles `value` in a list of checkbox choices, keeping the original order
+const toggle = (list, value, order) =>
+  order.filter(item => (item === value ? !list.includes(value) : list.includes(item)));
+
+// Benchmark page: runs the chosen strategies against carts of the chosen
+// sizes (see benchmark/cartBenchmark.jsx) and exports the results. Each case
+// mounts a CartProvider out of sight inside this component.
+const StorageBenchmark = () => {
+  const [strategies, setStrategies] = useState(BENCHMARK_STRATEGIES);
+  const [sizes, setSizes] = useState(BENCHMARK_SIZES.slice(0, 4));
+  const [mutations, setMutations] = useState(20);
+  const [stage, setStage] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState([]);
+  const controllerRef = useRef(null);
+
+  const running = progress !== null;
+
+  const render = (element) => {
+    const key = crypto.randomUUID();
+    setStage({ key, element });
+    return () => setStage(current => (current?.key === key ? null : current));
+  };
+
+  const run = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setResults([]);
+    setProgress({ done: 0, total: strategies.length * sizes.length });
+    await runCartBenchmark({
+      strategies,
+      sizes,
+      mutations,
+      render,
+      signal: controller.signal,
+      onProgress: setProgress,
+      onResult: (result) => setResults(prev => [...prev, result]),
+    });
+    setProgress(null);
+  };
+
+  const handleExport = (format) => {
+    const text = format === 'csv'
+      ? benchmarkResultsToCSV(results)
+      : benchmarkResultsToJSON(results, { userAgent: navigator.userAgent });
+    downloadText(text, `cart-benchmark.${format}`, EXPORT_TYPES[format]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="border p-4 rounded-lg space-y-3">
+        <fieldset>
+          <legend className="font-semibold">Strategies</legend>
+          <div className="flex flex-wrap gap-4">
+            {BENCHMARK_STRATEGIES.map(strategy => (
+              <label key={strategy}>
+                <input
+                  type="checkbox"
+                  checked={strategies.includes(strategy)}
+                  disabled={running}
+                  onChange={() => setStrategies(toggle(strategies, strategy, BENCHMARK_STRATEGIES))}
+                />{' '}
+                {strategy}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <fieldset>
+          <legend className="font-semibold">Cart lines</legend>
+          <div className="flex flex-wrap gap-4">
+            {BENCHMARK_SIZES.map(size => (
+              <label key={size}>
+                <input
+                  type="checkbox"
+                  checked={sizes.includes(size)}
+                  disabled={running}
+                  onChange={() => setSizes(toggle(sizes, size, BENCHMARK_SIZES))}
+                />{' '}
+                {size.toLocaleString()}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <label className="block">
+          <span className="font-semibold">Mutations per case</span>{' '}
+          <input
+            type="number"
+            min="1"
+            max="500"
+            value={mutations}
+            disabled={running}
+            onChange={e => setMutations(Math.max(1, Number(e.target.value) || 1))}
+            className="w-20 p-1 border rounded"
+          />
+        </label>
+        <div className="flex gap-2">
+          {running ? (
+            <button onClick={() => controllerRef.current?.abort()} className="px-3 py-1 border rounded">
+              Stop after this case
+            </button>
+          ) : (
+            <button
+              onClick={run}
+              disabled={strategies.length === 0 || sizes.length === 0}
+              className="px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:bg-gray-300"
+            >
+              Run benchmark
+            </button>
+          )}
+          <button onClick={() => handleExport('json')} disabled={results.length === 0} className="px-3 py-1 border rounded">
+            Export JSON
+          </button>
+          <button onClick={() => handleExport('csv')} disabled={results.length === 0} className="px-3 py-1 border rounded">
+            Export CSV
+          </button>
+        </div>
+        {running && (
+          <p role="status" className="text-sm">
+            Case {progress.done + 1} of {progress.total}
+            {progress.strategy && `: ${progress.strategy} with ${progress.lines.toLocaleString()} lines`}
+          </p>
+        )}
+      </div>
+
+      {results.length > 0 && (
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100 text-left">
+              <th className="p-1">Strategy</th>
+              <th className="p-1">Lines</th>
+              <th className="p-1">First render</th>
+              <th className="p-1">Loaded</th>
+              <th className="p-1">Mutation (median / p95)</th>
+              <th className="p-1">Persistence (median / p95)</th>
+              <th className="p-1">Other tab (median / p95)</th>
+              <th className="p-1">Footprint</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => (
+              <tr key={`${result.strategy}-${result.lines}`} className="border-t">
+                <td className="p-1">
+                  {result.strategy}
+                  {result.storageMode && result.storageMode !== result.strategy && (
+                    <span className="block text-red-500">fell back to {storageLabel(result.storageMode)}</span>
+                  )}
+                </td>
+                <td className="p-1">{result.lines.toLocaleString()}</td>
+                {result.error ? (
+                  <td colSpan={6} className="p-1 text-red-500">{result.error}</td>
+                ) : (
+                  <>
+                    <td className="p-1">{formatMs(result.firstRender)}</td>
+                    <td className="p-1">{formatMs(result.loaded)}</td>
+                    <td className="p-1">{formatStat(result.mutation)}</td>
+                    <td className="p-1">{formatStat(result.persistence)}</td>
+                    <td className="p-1">{formatStat(result.propagation)}</td>
+                    <td className="p-1">{formatBytes(result.footprint)}</td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div hidden>{stage && <div key={stage.key}>{stage.element}</div>}</div>
+    </div>
+  );
+};
+
+export default StorageBenchmark;
@@ -0,0 +1,220 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  readLocalStorage,
+  listDatabases,
+  readDatabase,
+  createChannelMonitor,
+  CHANNEL_LOG_LIMIT,
+} from '../devtools/storageInspector.js';
+
+const TABS = [
+  { id: 'localstorage', label: 'localStorage' },
+  { id: 'indexeddb', label: 'IndexedDB' },
+  { id: 'channels', label: 'BroadcastChannel' },
+];
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+const formatTime = (time) => new Date(time).toLocaleTimeString(undefined, { hour12: false });
+
+const Value = ({ value }) => (
+  <pre className="text-xs bg-gray-50 p-2 rounded max-h-48 overflow-auto whitespace-pre-wrap break-all">
+    {formatValue(value)}
+  </pre>
+);
+
+// Devtools-style panel showing what the cart strategies store: localStorage
+// entries, the records of an IndexedDB database and the messages sent on the
+// `channels` BroadcastChannels. `channels` is a list of names or a function
+// returning one, asked again on every refresh so new carts are picked up.
+// `databases` names databases to offer where `indexedDB.databases()` is
+// missing, as a list or a function in the same way. Storage is re-read every `refreshInterval` ms while live, and
+// whenever another tab writes localStorage or a channel message goes by.
+const StorageInspector = ({ channels = [], databases = [], refreshInterval = 1000 }) => {
+  const [tab, setTab] = useState('localstorage');
+  const [live, setLive] = useState(true);
+  const [filter, setFilter] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [databaseNames, setDatabaseNames] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [snapshot, setSnapshot] = useState(null);
+  const [log, setLog] = useState([]);
+  const monitorRef = useRef(null);
+  const propsRef = useRef({ channels, databases });
+  const selectedRef = useRef(selected);
+  const refreshingRef = useRef(false);
+
+  useEffect(() => {
+    propsRef.current = { channels, databases };
+  });
+
+  useEffect(() => {
+    selectedRef.current = selected;
+  }, [selected]);
+
+  // Reads are skipped while the previous one is still running
+  const refresh = useCallback(async () => {
+    if (refreshingRef.current) return;
+    refreshingRef.current = true;
+    try {
+      const { channels: names, databases: known } = propsRef.current;
+      monitorRef.current?.watch(typeof names === 'function' ? names() : names);
+      setEntries(readLocalStorage());
+      const found = await listDatabases(typeof known === 'function' ? known() : known);
+      setDatabaseNames(found);
+      const name = found.includes(selectedRef.current) ? selectedRef.current : found[0] ?? null;
+      setSelected(name);
+      setSnapshot(name ? await readDatabase(name) : null);
+    } catch (error) {
+      console.error('Failed to inspect storage:', error);
+    } finally {
+      refreshingRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    const monitor = createChannelMonitor(message => {
+      setLog(prev => [message, ...prev].slice(0, CHANNEL_LOG_LIMIT));
+    });
+    monitorRef.current = monitor;
+    return () => {
+      monitor.close();
+      monitorRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, selected]);
+
+  useEffect(() => {
+    if (!live) return undefined;
+    const interval = setInterval(refresh, refreshInterval);
+    window.addEventListener('storage', refresh);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('storage', refresh);
+    };
+  }, [live, refresh, refreshInterval]);
+
+  // A channel message means a write just landed somewhere
+  useEffect(() => {
+    if (live && log.length > 0) refresh();
+  }, [live, log, refresh]);
+
+  const matches = (text) => text.toLowerCase().includes(filter.trim().toLowerCase());
+  const shownEntries = entries.filter(entry => matches(entry.key));
+  const shownLog = log.filter(message => matches(message.channel));
+
+  return (
+    <section className="border rounded-lg p-4 font-mono text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h2 className="text-xl font-bold font-sans mr-2">Storage inspector</h2>
+        <div role="tablist" className="flex gap-1">
+          {TABS.map(({ id, label }) => (
+            <button
+              key={id}
+              role="tab"
+              aria-selected={tab === id}
+              onClick={() => setTab(id)}
+              className={`px-2 py-1 rounded ${tab === id ? 'bg-blue-500 text-white' : 'border'}`}
+            >
+              {label}
+              {id === 'channels' && log.length > 0 && ` (${log.length})`}
+            </button>
+          ))}
+        </div>
+        <input
+          type="search"
+          value={filter}
+          onChange={e => setFilter(e.target.value)}
+          placeholder="Filter keys and channels"
+          aria-label="Filter keys and channels"
+          className="p-1 border rounded"
+        />
+        <label className="font-sans">
+          <input type="checkbox" checked={live} onChange={e => setLive(e.target.checked)} /> Live
+        </label>
+        <button onClick={refresh} className="px-2 py-1 border rounded font-sans">Refresh</button>
+      </div>
+
+      {tab === 'localstorage' && (
+        shownEntries.length === 0 ? (
+          <p className="font-sans">No localStorage entries.</p>
+        ) : (
+          <ul className="space-y-2">
+            {shownEntries.map(entry => (
+              <li key={entry.key}>
+                <div className="flex justify-between">
+                  <span className="font-semibold">{entry.key}</span>
+                  <span className="text-gray-500">{entry.size.toLocaleString()} B</span>
+                </div>
+                <Value value={entry.value} />
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+
+      {tab === 'indexeddb' && (
+        databaseNames.length === 0 ? (
+          <p className="font-sans">No IndexedDB databases.</p>
+        ) : (
+          <div className="space-y-3">
+            <label className="font-sans">
+              Database{' '}
+              <select value={selected ?? ''} onChange={e => setSelected(e.target.value)} className="p-1 border rounded">
+                {databaseNames.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </label>
+            {snapshot && (
+              <>
+                <p className="text-gray-500">Version {snapshot.version}</p>
+                {snapshot.stores.map(store => (
+                  <details key={store.name} open={store.count <= 10}>
+                    <summary className="cursor-pointer">
+                      <span className="font-semibold">{store.name}</span> ({store.count.toLocaleString()} records
+                      {store.count > store.records.length && `, first ${store.records.length} shown`}
+                      {store.keyPath && `, key ${store.keyPath}`})
+                    </summary>
+                    <ul className="space-y-1 mt-1">
+                      {store.records.map((record, index) => (
+                        <li key={index}><Value value={record} /></li>
+                      ))}
+                    </ul>
+                  </details>
+                ))}
+              </>
+            )}
+          </div>
+        )
+      )}
+
+      {tab === 'channels' && (
+        <>
+          <div className="flex justify-between items-center mb-2 font-sans">
+            <span>Messages on the cart channels of this tab, newest first.</span>
+            <button onClick={() => setLog([])} disabled={log.length === 0} className="px-2 py-1 border rounded">
+              Clear
+            </button>
+          </div>
+          {shownLog.length === 0 ? (
+            <p className="font-sans">No messages yet. Change a cart here or in another tab.</p>
+          ) : (
+            <ul className="space-y-2">
+              {shownLog.map(message => (
+                <li key={message.id}>
+                  <span className="text-gray-500">{formatTime(message.time)}</span>{' '}
+                  <span className="font-semibold">{message.channel}</span>
+                  <Value value={message.data} />
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default StorageInspector;
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import useCart from '../useCart.js';
+
+const STATUS_LABELS = {
+  idle: 'Not synced',
+  pending: 'Syncing…',
+  synced: 'Synced',
+  error: 'Sync failed',
+};
+
+const STATUS_COLORS = {
+  idle: 'text-gray-500',
+  pending: 'text-yellow-600',
+  synced: 'text-green-600',
+  error: 'text-red-500',
+};
+
+// Signs in to sync the cart with the server and shows how far along that is
+const SyncStatus = () => {
+  const { syncStatus, login, logout } = useCart();
+  const [user, setUser] = useState('');
+
+  // Sync is not configured for this cart
+  if (!syncStatus) return null;
+
+  const handleLogin = (e) => {
+    e.preventDefault();
+    const trimmed = user.trim();
+    if (!trimmed) return;
+    login(trimmed);
+    setUser('');
+  };
+
+  const { status, pending, error, retryAt } = syncStatus;
+
+  return (
+    <div className="border p-4 rounded-lg mb-6">
+      {syncStatus.user ? (
+        <div className="flex flex-wrap items-center gap-2">
+          <span>Signed in as <strong>{syncStatus.user}</strong></span>
+          <span className={`text-sm ${STATUS_COLORS[status]}`}>
+            {STATUS_LABELS[status]}
+            {pending > 0 && ` (${pending} pending)`}
+          </span>
+          <button onClick={logout} className="ml-auto px-3 py-1 border rounded">
+            Sign out
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleLogin} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={user}
+            onChange={e => setUser(e.target.value)}
+            placeholder="User id"
+            aria-label="User id"
+            className="p-1 border rounded flex-1"
+          />
+          <button type="submit" className="px-3 py-1 border rounded">
+            Sign in to sync
+          </button>
+        </form>
+      )}
+      {status === 'error' && error && (
+        <p className="text-sm text-red-500 mt-1">
+          {error}
+          {retryAt && ` — retrying at ${new Date(retryAt).toLocaleTimeString()}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatus;
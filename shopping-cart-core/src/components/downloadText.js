@@ -0,0 +1,9 @@
+// Saves `text` as `filename` through the browser's download prompt
+export const downloadText = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
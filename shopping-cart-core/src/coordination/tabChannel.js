@@ -0,0 +1,49 @@
+// One long-lived BroadcastChannel per tab and name. Every message carries the
+// sending tab's id and a sequence number. A tab never hears its own messages,
+// and a message no newer than the last one heard from its sender is dropped.
+//   post(message)        sends `message` with { tabId, seq } added
+//   subscribe(listener)  hears the other tabs; returns unsubscribe
+//   close()              closes the channel
+export const createTabChannel = (name, tabId = crypto.randomUUID()) => {
+  const listeners = new Set();
+  // Sender tab id -> last sequence number heard from it
+  const lastSeq = new Map();
+  let channel = null;
+  let seq = 0;
+
+  const handleMessage = (event) => {
+    const message = event.data;
+    if (!message?.tabId || message.tabId === tabId) return;
+    if (message.seq <= (lastSeq.get(message.tabId) ?? 0)) return;
+    lastSeq.set(message.tabId, message.seq);
+    listeners.forEach(listener => listener(message));
+  };
+
+  // Opened on first use; without BroadcastChannel the tab is on its own
+  const open = () => {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(name);
+      channel.addEventListener('message', handleMessage);
+    }
+    return channel;
+  };
+
+  return {
+    tabId,
+    post: (message) => {
+      seq += 1;
+      open()?.postMessage({ ...message, tabId, seq });
+    },
+    subscribe: (listener) => {
+      open();
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => {
+      listeners.clear();
+      channel?.removeEventListener('message', handleMessage);
+      channel?.close();
+      channel = null;
+    },
+  };
+};
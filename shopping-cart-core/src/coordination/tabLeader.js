@@ -0,0 +1,220 @@
+// How long a fallback lease lasts without being renewed, and how often the
+// leader renews it
+export const LEASE_TIME = 3000;
+export const HEARTBEAT_INTERVAL = 1000;
+// How long a request waits for the leader before this tab runs it itself;
+// longer than a lease, so a leader that went away has been replaced by then
+export const REQUEST_TIMEOUT = 5000;
+
+// Errors cross the channel as plain data; `name` and `code` are kept so
+// callers still recognize a full storage or a locked cart
+const toData = (error) => ({ name: error?.name, code: error?.code, message: error?.message ?? String(error) });
+
+const fromData = ({ name, code, message }) => Object.assign(new Error(message), { name, code });
+
+const closedError = () =>
+  Object.assign(new Error('The tab stopped taking part before the leader answered.'), { name: 'AbortError' });
+
+// Picks one tab among those on `channel` (see tabChannel.js) to own a piece of
+// storage. Leadership is a Web Lock named `lockName`, which the browser hands
+// to the next waiting tab when the leader closes. Without Web Locks a lease
+// under `lockName` in localStorage does the same: the leader renews it every
+// HEARTBEAT_INTERVAL and gives it up on `pagehide`, and any tab takes over a
+// lease that ran out. Two tabs may both lead for a moment there, so the work
+// they do must tolerate running twice. Without either every tab leads itself.
+//
+// Several elections can share a channel: their messages carry `lockName` and
+// each only answers its own.
+//
+// `request(body)` runs `onRequest(body, { id, tabId })` in the leader tab and
+// settles with its result. Requests still unanswered when another tab takes
+// over are sent again with the same `id`; one no leader answers within
+// REQUEST_TIMEOUT runs in this tab, so its caller is never left waiting.
+// Requests pending at close() are rejected with an AbortError.
+//   isLeader()           whether this tab leads
+//   ready                resolves once this tab knows whether it leads
+//   subscribe(listener)  hears leadership changes of this tab; returns unsubscribe
+//   close()              gives up leadership and stops taking part
+export const createTabLeader = (channel, { lockName, onRequest }) => {
+  const listeners = new Set();
+  // Request id -> { body, resolve, reject, timer }, until the leader answers
+  const pending = new Map();
+  const abort = new AbortController();
+  let leading = false;
+  let leaderId = null;
+  let release = null;
+  let heartbeat = null;
+  let markReady;
+  const ready = new Promise(resolve => {
+    markReady = resolve;
+  });
+
+  const post = (message) => channel.post({ ...message, lock: lockName });
+
+  const run = (id, body, tabId) => Promise.resolve().then(() => onRequest(body, { id, tabId }));
+
+  // Takes a request off `pending` to run it in this tab
+  const runHere = (id) => {
+    const { body, resolve, reject, timer } = pending.get(id);
+    clearTimeout(timer);
+    pending.delete(id);
+    run(id, body, channel.tabId).then(resolve, reject);
+  };
+
+  const runPending = () => {
+    [...pending.keys()].forEach(runHere);
+  };
+
+  const setLeading = (value) => {
+    markReady();
+    if (value === leading) return;
+    leading = value;
+    if (leading) {
+      leaderId = channel.tabId;
+      post({ type: 'LEADER' });
+      runPending();
+    }
+    listeners.forEach(listener => listener(leading));
+  };
+
+  const sendPending = () => {
+    pending.forEach(({ body }, id) => post({ type: 'REQUEST', id, body }));
+  };
+
+  const unsubscribe = channel.subscribe(message => {
+    if (message.lock !== lockName) return;
+    switch (message.type) {
+      case 'LEADER':
+        if (message.tabId !== leaderId) {
+          leaderId = message.tabId;
+          sendPending();
+        }
+        break;
+      case 'WHO_LEADS':
+        if (leading) post({ type: 'LEADER' });
+        break;
+      case 'RESIGN':
+        if (message.tabId === leaderId) leaderId = null;
+        if (heartbeat) renewLease();
+        break;
+      case 'REQUEST':
+        if (!leading) return;
+        run(message.id, message.body, message.tabId).then(
+          result => post({ type: 'REPLY', to: message.tabId, id: message.id, result }),
+          error => post({ type: 'REPLY', to: message.tabId, id: message.id, error: toData(error) })
+        );
+        break;
+      case 'REPLY': {
+        const request = message.to === channel.tabId && pending.get(message.id);
+        if (!request) return;
+        clearTimeout(request.timer);
+        pending.delete(message.id);
+        if (message.error) {
+          request.reject(fromData(message.error));
+        } else {
+          request.resolve(message.result);
+        }
+        break;
+      }
+      default:
+    }
+  });
+
+  // Fallback lease: { tabId, expires } under `lockName`
+  const renewLease = () => {
+    try {
+      const lease = JSON.parse(localStorage.getItem(lockName));
+      const now = Date.now();
+      if (!lease || lease.tabId === channel.tabId || lease.expires < now) {
+        localStorage.setItem(lockName, JSON.stringify({ tabId: channel.tabId, expires: now + LEASE_TIME }));
+        setLeading(true);
+      } else {
+        // Another tab claimed the lease at the same time and wrote last
+        setLeading(false);
+      }
+    } catch (error) {
+      console.error('Tab leader lease unavailable, this tab writes on its own:', error);
+      setLeading(true);
+    }
+  };
+
+  const resign = () => {
+    if (!leading) return;
+    try {
+      const lease = JSON.parse(localStorage.getItem(lockName));
+      if (lease?.tabId === channel.tabId) localStorage.removeItem(lockName);
+    } catch {
+      // Nothing to give up
+    }
+    leading = false;
+    post({ type: 'RESIGN' });
+  };
+
+  const hasLocks = typeof navigator !== 'undefined' && Boolean(navigator.locks);
+  const hasLease = typeof window !== 'undefined';
+
+  if (hasLocks) {
+    // Held until this tab closes or calls close()
+    const lead = () => new Promise(resolve => {
+      release = resolve;
+      setLeading(true);
+    });
+    navigator.locks.request(lockName, { ifAvailable: true }, lock => {
+      if (lock) return lead();
+      markReady();
+      post({ type: 'WHO_LEADS' });
+      return navigator.locks.request(lockName, { signal: abort.signal }, lead).catch(error => {
+        if (error.name !== 'AbortError') console.error('Tab leader election failed:', error);
+      });
+    }).catch(error => console.error('Tab leader election failed:', error));
+  } else if (hasLease) {
+    renewLease();
+    if (!leading) post({ type: 'WHO_LEADS' });
+    heartbeat = setInterval(renewLease, HEARTBEAT_INTERVAL);
+    window.addEventListener('pagehide', resign);
+  } else {
+    setLeading(true);
+  }
+
+  return {
+    isLeader: () => leading,
+    ready,
+    request: (body) => new Promise((resolve, reject) => {
+      const id = crypto.randomUUID();
+      if (leading) {
+        run(id, body, channel.tabId).then(resolve, reject);
+        return;
+      }
+      const timer = setTimeout(() => {
+        if (pending.has(id)) runHere(id);
+      }, REQUEST_TIMEOUT);
+      pending.set(id, { body, resolve, reject, timer });
+      post({ type: 'REQUEST', id, body });
+    }),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => {
+      clearInterval(heartbeat);
+      heartbeat = null;
+      if (hasLease) window.removeEventListener('pagehide', resign);
+      abort.abort();
+      if (release) {
+        release();
+        release = null;
+        leading = false;
+        post({ type: 'RESIGN' });
+      } else {
+        resign();
+      }
+      unsubscribe();
+      listeners.clear();
+      pending.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(closedError());
+      });
+      pending.clear();
+    },
+  };
+};
@@ -0,0 +1,114 @@
+import { promisifyRequest } from '../idb.js';
+
+// Records shown per object store; the catalog cache alone holds thousands
+export const RECORD_LIMIT = 50;
+
+// Messages kept in the BroadcastChannel log, newest first
+export const CHANNEL_LOG_LIMIT = 100;
+
+// Every localStorage entry, sorted by key. `value` is the parsed JSON where
+// the raw string is JSON, and `size` the bytes the entry takes (UTF-16).
+export const readLocalStorage = () =>
+  Object.keys(localStorage)
+    .sort()
+    .map(key => {
+      const raw = localStorage.getItem(key) ?? '';
+      let value = raw;
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        // Plain strings are shown as they are
+      }
+      return { key, value, size: (key.length + raw.length) * 2 };
+    });
+
+// Names of the databases of this origin. Browsers without
+// `indexedDB.databases()` only list the `known` names.
+export const listDatabases = async (known = []) => {
+  const found = typeof indexedDB.databases === 'function'
+    ? (await indexedDB.databases()).map(database => database.name)
+    : [];
+  return [...new Set([...found, ...known])].sort();
+};
+
+// Opens `name` at whatever version it has without ever creating or
+// upgrading it; resolves to null when the database does not exist
+const openExisting = (name) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(name);
+    let created = false;
+    request.onupgradeneeded = () => {
+      created = true;
+      request.transaction.abort();
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (event) => {
+      if (created) {
+        event.preventDefault();
+        resolve(null);
+      } else {
+        reject(request.error);
+      }
+    };
+    request.onblocked = () => resolve(null);
+  });
+
+// Snapshot of a database: its version and, per object store, the key path,
+// the record count and the first `limit` records. The connection is closed
+// right away so it never holds up an upgrade.
+export const readDatabase = async (name, { limit = RECORD_LIMIT } = {}) => {
+  const db = await openExisting(name);
+  if (!db) return null;
+  db.onversionchange = () => db.close();
+  try {
+    const storeNames = [...db.objectStoreNames];
+    if (storeNames.length === 0) return { name, version: db.version, stores: [] };
+    const transaction = db.transaction(storeNames, 'readonly');
+    const stores = await Promise.all(storeNames.map(async storeName => {
+      const store = transaction.objectStore(storeName);
+      const [count, records] = await Promise.all([
+        promisifyRequest(store.count()),
+        promisifyRequest(store.getAll(null, limit)),
+      ]);
+      return { name: storeName, keyPath: store.keyPath, count, records };
+    }));
+    return { name, version: db.version, stores };
+  } finally {
+    db.close();
+  }
+};
+
+// Listens on BroadcastChannels by name and reports every message as
+// { id, channel, data, time }. A channel object receives the messages of every
+// other object with its name, so this sees what the adapters of this tab send
+// as well as what arrives from other tabs.
+//   watch(names)  starts listening on new names and stops on the ones left out
+//   close()       stops listening on all of them
+export const createChannelMonitor = (onMessage) => {
+  const channels = new Map();
+  let sequence = 0;
+
+  const watch = (names) => {
+    if (typeof BroadcastChannel === 'undefined') return;
+    const wanted = new Set(names);
+    channels.forEach((channel, name) => {
+      if (wanted.has(name)) return;
+      channel.close();
+      channels.delete(name);
+    });
+    wanted.forEach(name => {
+      if (channels.has(name)) return;
+      const channel = new BroadcastChannel(name);
+      channel.onmessage = (event) => {
+        sequence += 1;
+        onMessage({ id: sequence, channel: name, data: event.data, time: Date.now() });
+      };
+      channels.set(name, channel);
+    });
+  };
+
+  return {
+    watch,
+    close: () => watch([]),
+  };
+};
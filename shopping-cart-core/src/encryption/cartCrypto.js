@@ -0,0 +1,314 @@
+import { openDatabase, getAllRecords, promisifyRequest, transactionDone } from '../idb.js';
+import { DECRYPT_FAILED } from '../adapters/storageSupport.js';
+
+// Client-side encryption of stored carts with WebCrypto AES-GCM.
+//
+// A keyring hands out the key new payloads are sealed with and finds older
+// keys by id, so payloads sealed before a rotation can still be opened:
+//   current()    resolves to { id, key } for sealing
+//   find(id)     resolves to the CryptoKey with that id, or null
+//   rotate(...)  makes a new current key
+//   unlock(...)  optional, takes a secret changed elsewhere; resolves to whether it fits
+//   track(slot, kid)  optional, records that the payload stored at `slot`
+//                ({ id, storage, location, name }) is sealed with key `kid`
+//   untrack(id)  optional, forgets a slot whose payload is gone
+//   slots()      optional, resolves to the tracked slots as { ...slot, kid }
+//   prune()      optional, deletes old keys no tracked slot uses
+// Sealed payloads are { sealed: 1, kid, iv, data } with base64 `iv` and `data`.
+
+const ALGORITHM = 'AES-GCM';
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const toBase64 = (buffer) => {
+  let binary = '';
+  new Uint8Array(buffer).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const decryptError = (message) => Object.assign(new Error(message), { code: DECRYPT_FAILED });
+
+export const isSealed = (value) =>
+  value?.sealed === 1 &&
+  typeof value.kid === 'string' &&
+  typeof value.iv === 'string' &&
+  typeof value.data === 'string';
+
+export const sealValue = async (keyring, value) => {
+  const { id, key } = await keyring.current();
+  // A fresh 96-bit IV for every payload; GCM must never reuse one with a key
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: ALGORITHM, iv },
+    key,
+    textEncoder.encode(JSON.stringify(value))
+  );
+  return { sealed: 1, kid: id, iv: toBase64(iv), data: toBase64(data) };
+};
+
+// Throws an error with code DECRYPT_FAILED when the key is missing or wrong
+export const openValue = async (keyring, payload) => {
+  if (!isSealed(payload)) {
+    throw decryptError('Your saved cart is not in a format that can be decrypted.');
+  }
+  const key = await keyring.find(payload.kid);
+  if (!key) {
+    throw decryptError('Your saved cart was encrypted with a key that is not available on this device.');
+  }
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: ALGORITHM, iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+  } catch {
+    // Authentication fails alike for a wrong key and for altered data
+    throw decryptError('Your saved cart could not be decrypted. Check your passphrase.');
+  }
+  return JSON.parse(textDecoder.decode(plain));
+};
+
+// Sealed into every salt record, so a tab can tell whether its passphrase
+// derives the key the record names
+const KEY_CHECK = 'shopping-cart-key-check';
+
+// Keys derived from a passphrase with PBKDF2. The salt is not secret and is
+// kept in localStorage under `saltKey`, with an id that names the key and a
+// check value sealed with that key.
+// `rotate(newPassphrase)` starts a new salt, with a new passphrase or the same
+// one; keys of earlier passphrases are only known to this page afterwards, so
+// every tracked slot (kept under `<saltKey>:slots`) must be resealed before it
+// reloads (see resealStoredPayloads).
+// After another tab rotates to a passphrase this one does not know, the
+// keyring locks: current() and find() fail with DECRYPT_FAILED, so nothing is
+// sealed with a wrong key, until `unlock(passphrase)` resolves to true.
+export const createPassphraseKeyring = ({
+  passphrase,
+  saltKey = 'shopping-cart:salt',
+  iterations = 310000,
+}) => {
+  const slotsKey = `${saltKey}:slots`;
+  let secret = passphrase;
+  // salt id -> Promise<CryptoKey>, for salts this passphrase is known to fit
+  const keys = new Map();
+  // Ids of salts the passphrase turned out not to fit
+  const rejected = new Set();
+  let creating = null;
+
+  const lockedError = () => decryptError(
+    'Your cart is locked with a different passphrase. Enter the current passphrase to keep using it.'
+  );
+
+  const readSalt = () => {
+    try {
+      const record = JSON.parse(localStorage.getItem(saltKey));
+      return typeof record?.id === 'string' && typeof record?.salt === 'string' ? record : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const derive = async (salt, fromPassphrase) => {
+    const material = await crypto.subtle.importKey('raw', textEncoder.encode(fromPassphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+      material,
+      { name: ALGORITHM, length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  };
+
+  // Resolves to the key when `fromPassphrase` derives the one `record` names.
+  // Records written before check values existed are taken on trust.
+  const deriveChecked = async (record, fromPassphrase) => {
+    const key = await derive(record.salt, fromPassphrase);
+    if (!record.check) return key;
+    try {
+      const { iv, data } = record.check;
+      const plain = await crypto.subtle.decrypt({ name: ALGORITHM, iv: fromBase64(iv) }, key, fromBase64(data));
+      if (textDecoder.decode(plain) === KEY_CHECK) return key;
+    } catch {
+      // A wrong key fails authentication
+    }
+    return null;
+  };
+
+  const keyFor = async (record) => {
+    if (keys.has(record.id)) return keys.get(record.id);
+    if (rejected.has(record.id)) throw lockedError();
+    const key = await deriveChecked(record, secret);
+    if (!key) {
+      rejected.add(record.id);
+      throw lockedError();
+    }
+    if (!keys.has(record.id)) keys.set(record.id, Promise.resolve(key));
+    return keys.get(record.id);
+  };
+
+  const writeSalt = async () => {
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await derive(salt, secret);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: ALGORITHM, iv }, key, textEncoder.encode(KEY_CHECK));
+    const record = { id: crypto.randomUUID(), salt, check: { iv: toBase64(iv), data: toBase64(data) } };
+    keys.set(record.id, Promise.resolve(key));
+    localStorage.setItem(saltKey, JSON.stringify(record));
+    return record;
+  };
+
+  // Follows the stored salt, so a rotation in another tab is picked up
+  const current = async () => {
+    let record = readSalt();
+    if (!record) {
+      // Calls made before the first salt exists share it
+      if (!creating) creating = writeSalt().finally(() => { creating = null; });
+      record = await creating;
+    }
+    return { id: record.id, key: await keyFor(record) };
+  };
+
+  // Slot id -> { ...slot, kid }
+  const readSlots = () => {
+    try {
+      return JSON.parse(localStorage.getItem(slotsKey)) ?? {};
+    } catch {
+      return {};
+    }
+  };
+
+  const writeSlots = (update) => {
+    localStorage.setItem(slotsKey, JSON.stringify(update(readSlots())));
+  };
+
+  return {
+    current,
+    find: async (id) => {
+      if (keys.has(id)) return keys.get(id);
+      const record = readSalt();
+      return record?.id === id ? keyFor(record) : null;
+    },
+    rotate: async (nextPassphrase = secret) => {
+      // Derive the outgoing key first so payloads sealed with it still open
+      await current();
+      secret = nextPassphrase;
+      await writeSalt();
+    },
+    // Takes the passphrase another tab rotated to; resolves to false when it
+    // does not fit the stored salt either
+    unlock: async (nextPassphrase) => {
+      const record = readSalt();
+      if (record && !keys.has(record.id)) {
+        const key = await deriveChecked(record, nextPassphrase);
+        if (!key) return false;
+        keys.set(record.id, Promise.resolve(key));
+      }
+      secret = nextPassphrase;
+      rejected.clear();
+      return true;
+    },
+    track: async (slot, kid) => {
+      if (readSlots()[slot.id]?.kid === kid) return;
+      writeSlots(slots => ({ ...slots, [slot.id]: { ...slot, kid } }));
+    },
+    untrack: async (id) => {
+      writeSlots(slots => {
+        const rest = { ...slots };
+        delete rest[id];
+        return rest;
+      });
+    },
+    slots: async () => Object.values(readSlots()),
+  };
+};
+
+const KEYS_STORE = 'keys';
+const SLOTS_STORE = 'slots';
+
+const KEY_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the key store',
+    migrate: ({ db }) => {
+      db.createObjectStore(KEYS_STORE, { keyPath: 'id' });
+    },
+  },
+  {
+    version: 2,
+    description: 'Track which key each stored payload is sealed with',
+    migrate: ({ db }) => {
+      db.createObjectStore(SLOTS_STORE, { keyPath: 'id' });
+    },
+  },
+];
+
+// Random keys generated on this device and stored as non-extractable
+// CryptoKeys in IndexedDB: scripts can use them but never read their bytes,
+// so a copy of the stored data is useless elsewhere. `rotate()` adds a new
+// key; `prune()` drops the keys older than the newest `keep` that no tracked
+// slot is sealed with any more.
+export const createDeviceKeyring = ({ dbName = 'ShoppingCartKeys', keep = 3 } = {}) => {
+  let dbPromise = null;
+  let creating = null;
+
+  const getDB = () => {
+    if (!dbPromise) dbPromise = openDatabase(dbName, KEY_MIGRATIONS);
+    return dbPromise;
+  };
+
+  // Oldest first
+  const readKeys = async () => {
+    const records = await getAllRecords(await getDB(), KEYS_STORE);
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  };
+
+  const addKey = async () => {
+    const key = await crypto.subtle.generateKey({ name: ALGORITHM, length: 256 }, false, ['encrypt', 'decrypt']);
+    const record = { id: crypto.randomUUID(), key, createdAt: Date.now() };
+    const transaction = (await getDB()).transaction(KEYS_STORE, 'readwrite');
+    transaction.objectStore(KEYS_STORE).put(record);
+    await transactionDone(transaction);
+    return record;
+  };
+
+  const writeSlot = async (apply) => {
+    const transaction = (await getDB()).transaction(SLOTS_STORE, 'readwrite');
+    apply(transaction.objectStore(SLOTS_STORE));
+    await transactionDone(transaction);
+  };
+
+  return {
+    current: async () => {
+      const records = await readKeys();
+      if (records.length > 0) return records[records.length - 1];
+      // Calls made before the first key exists share it
+      if (!creating) creating = addKey().finally(() => { creating = null; });
+      return creating;
+    },
+    find: async (id) => {
+      const transaction = (await getDB()).transaction(KEYS_STORE, 'readonly');
+      const record = await promisifyRequest(transaction.objectStore(KEYS_STORE).get(id));
+      return record?.key ?? null;
+    },
+    rotate: async () => {
+      await addKey();
+    },
+    track: async (slot, kid) => {
+      const transaction = (await getDB()).transaction(SLOTS_STORE, 'readonly');
+      const record = await promisifyRequest(transaction.objectStore(SLOTS_STORE).get(slot.id));
+      if (record?.kid !== kid) await writeSlot(store => store.put({ ...slot, kid }));
+    },
+    untrack: (id) => writeSlot(store => store.delete(id)),
+    slots: async () => getAllRecords(await getDB(), SLOTS_STORE),
+    prune: async () => {
+      const records = await readKeys();
+      const used = new Set((await getAllRecords(await getDB(), SLOTS_STORE)).map(({ kid }) => kid));
+      const retired = records.slice(0, Math.max(0, records.length - keep)).filter(record => !used.has(record.id));
+      if (retired.length === 0) return;
+      const transaction = (await getDB()).transaction(KEYS_STORE, 'readwrite');
+      retired.forEach(old => transaction.objectStore(KEYS_STORE).delete(old.id));
+      await transactionDone(transaction);
+    },
+  };
+};
@@ -0,0 +1,124 @@
+import {
+  cartAttributes,
+  sameAttributes,
+  ADD_ITEM,
+  UPDATE_QUANTITY,
+  REMOVE_ITEM,
+  CLEAR_CART,
+  APPLY_COUPON,
+  REMOVE_COUPON,
+  SAVE_FOR_LATER,
+  MOVE_TO_CART,
+  ADD_TO_WISHLIST,
+  REMOVE_SAVED,
+  ACCEPT_CHANGES,
+  EXPIRE_CART,
+  IMPORT_CART,
+} from './cartReducer.js';
+import { diffItems } from './itemDiff.js';
+
+// Undo/redo history of cart mutations.
+//
+// Each mutation is recorded as a command holding two patches, one that undoes
+// it and one that redoes it. A patch only names the lines and attributes the
+// mutation touched, so undoing it keeps changes made since to other lines
+// (e.g. from another tab):
+//   { put: [{ item, index }], remove: [lineId], saved: { put, remove }, attributes }
+// where the top-level put/remove are for the cart lines.
+// History is plain data so adapters can persist it next to the cart.
+
+export const HISTORY_LIMIT = 50;
+
+export const emptyHistory = { past: [], future: [] };
+
+const patchList = (fromList, toList) => {
+  const { put, remove } = diffItems(fromList, toList);
+  return { put: put.map(item => ({ item, index: toList.indexOf(item) })), remove };
+};
+
+// Patch that turns `from` into `to`
+const patchBetween = (from, to) => {
+  const patch = patchList(from.items, to.items);
+  if (from.saved !== to.saved) patch.saved = patchList(from.saved, to.saved);
+  if (!sameAttributes(from, to)) patch.attributes = cartAttributes(to);
+  return patch;
+};
+
+const itemName = (list, lineId) => list.find(item => item.id === lineId)?.name ?? 'Item';
+
+// Short description shown next to the undo button
+const describe = (action, prev) => {
+  switch (action.type) {
+    case ADD_ITEM:
+      return `${action.product.name} added`;
+    case UPDATE_QUANTITY:
+      return `${itemName(prev.items, action.lineId)} quantity changed`;
+    case REMOVE_ITEM:
+      return `${itemName(prev.items, action.lineId)} removed`;
+    case CLEAR_CART:
+      return 'Cart cleared';
+    case APPLY_COUPON:
+      return `Coupon ${action.code} applied`;
+    case REMOVE_COUPON:
+      return `Coupon ${action.code} removed`;
+    case SAVE_FOR_LATER:
+      return `${itemName(prev.items, action.lineId)} saved for later`;
+    case MOVE_TO_CART:
+      return `${itemName(prev.saved, action.lineId)} moved to cart`;
+    case ADD_TO_WISHLIST:
+      return `${action.product.name} saved`;
+    case REMOVE_SAVED:
+      return `${itemName(prev.saved, action.lineId)} removed from saved items`;
+    case ACCEPT_CHANGES:
+      return 'Catalog changes accepted';
+    case EXPIRE_CART:
+      return 'Cart expired and was emptied';
+    case IMPORT_CART:
+      return action.mode === 'replace' ? 'Cart replaced by import' : 'Cart imported';
+    default:
+      return 'Cart changed';
+  }
+};
+
+export const createCommand = (prev, next, action) => ({
+  id: crypto.randomUUID(),
+  type: action.type,
+  label: describe(action, prev),
+  undo: patchBetween(next, prev),
+  redo: patchBetween(prev, next),
+});
+
+// A new command drops whatever could have been redone
+export const recordCommand = (history, command) => ({
+  past: [...history.past, command].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+// Return { history, command } with the command to apply, or null when
+// there is nothing to undo or redo
+export const undoHistory = (history) => {
+  const command = history.past[history.past.length - 1];
+  if (!command) return null;
+  return {
+    command,
+    history: { past: history.past.slice(0, -1), future: [command, ...history.future] },
+  };
+};
+
+export const redoHistory = (history) => {
+  const [command, ...future] = history.future;
+  if (!command) return null;
+  return {
+    command,
+    history: { past: [...history.past, command], future },
+  };
+};
+
+// The stacks as if `command` had never run, for a change that could not be
+// saved. A failed undo or redo puts the command back where it came from.
+export const forgetCommand = (history, command, direction) => {
+  const others = (commands) => commands.filter(other => other.id !== command.id);
+  if (direction === 'undo') return { past: [...others(history.past), command], future: others(history.future) };
+  if (direction === 'redo') return { past: others(history.past), future: [command, ...others(history.future)] };
+  return { past: others(history.past), future: history.future };
+};
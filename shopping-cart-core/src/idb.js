@@ -0,0 +1,88 @@
+// Small promise wrappers around the IndexedDB request/transaction API
+
+export const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+// Opens `name` at the highest version in `migrations`. Every migration newer
+// than the stored database runs in order inside the single upgrade
+// transaction, so a failing step aborts the whole upgrade and leaves the
+// previous schema and data untouched.
+export const openDatabase = (name, migrations) => {
+  const pending = [...migrations].sort((a, b) => a.version - b.version);
+  const version = pending[pending.length - 1].version;
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      console.warn(`${name} upgrade is waiting for other tabs to close the database`);
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Step aside when a newer version of the app upgrades the schema, or
+      // the database is deleted
+      db.onversionchange = (event) => {
+        db.close();
+        if (event.newVersion !== null) {
+          console.warn(`${name} was upgraded in another tab; reload to continue`);
+        }
+      };
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const context = {
+        db: request.result,
+        transaction: request.transaction,
+        oldVersion: event.oldVersion,
+      };
+      try {
+        pending
+          .filter(migration => migration.version > event.oldVersion)
+          .forEach(migration => migration.migrate(context));
+      } catch (error) {
+        request.transaction.abort();
+        reject(error);
+      }
+    };
+  });
+};
+
+// Rewrites every record of `store` through `transform` with a cursor.
+// Return the record unchanged to keep it, a new object to replace it, or
+// null to delete it. Safe to call from a migration.
+export const updateRecords = (store, transform) => {
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    const updated = transform(cursor.value);
+    if (updated === null) {
+      cursor.delete();
+    } else if (updated !== cursor.value) {
+      cursor.update(updated);
+    }
+    cursor.continue();
+  };
+};
+
+// Resolves once `name` is gone. Open connections are closed by their
+// `onversionchange` handler, so this does not wait for other tabs.
+export const deleteDatabase = (name) => promisifyRequest(indexedDB.deleteDatabase(name));
+
+export const getAllRecords = async (db, storeName) => {
+  const transaction = db.transaction(storeName, 'readonly');
+  return promisifyRequest(transaction.objectStore(storeName).getAll());
+};
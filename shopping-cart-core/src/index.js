@@ -0,0 +1,203 @@
+// Cart engine
+export { default as CartProvider } from './CartProvider.jsx';
+export { default as useCart } from './useCart.js';
+export { default as MultiCartProvider } from './MultiCartProvider.jsx';
+export { default as useMultiCart } from './useMultiCart.js';
+export { default as useOrders } from './useOrders.js';
+export { createCartRegistry } from './cartRegistry.js';
+export {
+  cartReducer,
+  cartTotal,
+  lineTotal,
+  initialCartState,
+  ADD_ITEM,
+  UPDATE_QUANTITY,
+  REMOVE_ITEM,
+  CLEAR_CART,
+  APPLY_COUPON,
+  REMOVE_COUPON,
+  SET_REGION,
+  SET_SHIPPING_METHOD,
+  SAVE_FOR_LATER,
+  MOVE_TO_CART,
+  ADD_TO_WISHLIST,
+  REMOVE_SAVED,
+  ACCEPT_CHANGES,
+  EXPIRE_CART,
+  PLACE_ORDER,
+  IMPORT_CART,
+  APPLY_PATCH,
+  HYDRATE,
+  cartAttributes,
+  sameAttributes,
+  validateCartAction,
+} from './cartReducer.js';
+export { diffItems } from './itemDiff.js';
+export { createCartSync, mergeCarts } from './sync/cartSync.js';
+export { createMockCartServer } from './sync/mockCartServer.js';
+export {
+  createOrder,
+  orderNumber,
+  validateCheckout,
+  validateCheckoutFields,
+  emptyCheckoutDetails,
+  CHECKOUT_STEPS,
+} from './checkout/checkout.js';
+export { createOrderStore, ORDERS_STORE } from './checkout/orderStore.js';
+export {
+  createPassphraseKeyring,
+  createDeviceKeyring,
+  sealValue,
+  openValue,
+  isSealed,
+} from './encryption/cartCrypto.js';
+export { reorderLines } from './checkout/reorder.js';
+export {
+  exportCartJSON,
+  exportCartCSV,
+  parseCartImport,
+  parseCSV,
+  formatCSV,
+  fitImportedLines,
+  CART_EXPORT_FORMAT,
+  CART_EXPORT_VERSION,
+  CSV_COLUMNS,
+  INVALID_IMPORT,
+} from './sharing/cartTransfer.js';
+export {
+  createShareLink,
+  readShareLink,
+  clearShareLink,
+  encodeSharedCart,
+  resolveSharedCart,
+  SHARE_PARAM,
+  INVALID_LINK,
+} from './sharing/shareLink.js';
+export {
+  createCommand,
+  recordCommand,
+  forgetCommand,
+  undoHistory,
+  redoHistory,
+  emptyHistory,
+  HISTORY_LIMIT,
+} from './history.js';
+export {
+  createLine,
+  lineKey,
+  normalizeLine,
+  resolveOptions,
+  variantPrice,
+  variantSku,
+} from './productOptions.js';
+export {
+  validateQuantity,
+  quantityLimit,
+  stockStatus,
+  LOW_STOCK_THRESHOLD,
+} from './inventory.js';
+export {
+  findCartChanges,
+  applyCartChanges,
+  cartUpdatedAt,
+  isCartExpired,
+  DEFAULT_CART_TTL,
+} from './reconciliation.js';
+export {
+  createCartReplica,
+  mergeLine,
+  lineFromItem,
+  lineQuantity,
+  compareStamps,
+} from './cartReplica.js';
+
+// IndexedDB schema
+export { openDatabase, deleteDatabase, updateRecords } from './idb.js';
+export {
+  createCartMigrations,
+  readCartLines,
+  sortCartLines,
+  readLegacyCart,
+  readCartAttributes,
+  parseStoredCart,
+  sanitizeStoredCart,
+  isValidLine,
+  LEGACY_STORAGE_KEY,
+  DEFAULT_CART_ID,
+  cartScopedName,
+  META_STORE,
+  SAVED_STORE,
+  ATTRIBUTES_KEY,
+  HISTORY_KEY,
+  APPLIED_KEY,
+  APPLIED_LIMIT,
+} from './cartSchema.js';
+
+// Tab coordination
+export { createTabChannel } from './coordination/tabChannel.js';
+export { createTabLeader, LEASE_TIME, HEARTBEAT_INTERVAL, REQUEST_TIMEOUT } from './coordination/tabLeader.js';
+
+// Benchmark
+export {
+  runCartBenchmark,
+  createBenchmarkCart,
+  measureFootprint,
+  summarize,
+  benchmarkResultsToCSV,
+  benchmarkResultsToJSON,
+  BENCHMARK_SIZES,
+  BENCHMARK_STRATEGIES,
+} from './benchmark/cartBenchmark.jsx';
+
+// Storage inspector
+export {
+  readLocalStorage,
+  listDatabases,
+  readDatabase,
+  createChannelMonitor,
+  RECORD_LIMIT,
+  CHANNEL_LOG_LIMIT,
+} from './devtools/storageInspector.js';
+
+// Money
+export * from './money.js';
+
+// Pricing
+export { priceCart, validateCoupon, normalizeCouponCode } from './pricing/pricingEngine.js';
+export { DEFAULT_PROMOTIONS } from './pricing/promotions.js';
+export { calculateOrderTotals } from './pricing/orderTotals.js';
+export { calculateTax, TAX_TABLES, DEFAULT_REGION } from './pricing/tax.js';
+export { calculateShipping, availableShippingMethods, SHIPPING_METHODS } from './pricing/shipping.js';
+
+// Persistence adapters
+export * from './adapters/index.js';
+
+// UI
+export { default as ProductList } from './components/ProductList.jsx';
+export { default as ShoppingCart } from './components/ShoppingCart.jsx';
+export { default as CartSwitcher } from './components/CartSwitcher.jsx';
+export { default as SyncStatus } from './components/SyncStatus.jsx';
+export { default as Checkout } from './components/Checkout.jsx';
+export { default as OrderHistory } from './components/OrderHistory.jsx';
+export { default as CartTransfer } from './components/CartTransfer.jsx';
+export { default as SharedCartPreview } from './components/SharedCartPreview.jsx';
+export { default as StorageBenchmark } from './components/StorageBenchmark.jsx';
+export { default as StorageInspector } from './components/StorageInspector.jsx';
+export { default as EncryptionSettings } from './components/EncryptionSettings.jsx';
+export { default as PassphraseForm } from './components/PassphraseForm.jsx';
+
+// Catalog
+export { default as useCatalog } from './useCatalog.js';
+export {
+  createCatalog,
+  queryCatalog,
+  catalogCategories,
+  SORT_OPTIONS,
+} from './catalog/catalog.js';
+export {
+  createJsonSource,
+  createMockApiSource,
+  createStaticSource,
+  generateProducts,
+  DEFAULT_CATALOG_URL,
+} from './catalog/sources.js';
@@ -0,0 +1,44 @@
+// Stock levels and purchase limits.
+//
+// A product may declare `stock` (units on hand) and `maxPerCustomer`; leaving
+// either out means no limit. Both apply to the product as a whole, so all of
+// its variant lines count towards them. Cart lines copy both from the product.
+
+export const LOW_STOCK_THRESHOLD = 5;
+
+// Most units of `product` one cart may hold
+export const quantityLimit = (product) =>
+  Math.min(product.stock ?? Infinity, product.maxPerCustomer ?? Infinity);
+
+// 'out' (sold out), 'low' (only a few left) or 'in', with the units left
+export const stockStatus = (product) => {
+  const { stock } = product;
+  if (stock == null) return { status: 'in', remaining: Infinity };
+  if (stock <= 0) return { status: 'out', remaining: 0 };
+  return { status: stock <= LOW_STOCK_THRESHOLD ? 'low' : 'in', remaining: stock };
+};
+
+const reject = (code, message, max) => ({ ok: false, error: { code, message, max } });
+
+// Checks setting `line` to `quantity` against the rest of `items`. Resolves to
+// { ok: true } or { ok: false, error: { code, message, max } } where `max` is
+// the most this line could hold.
+export const validateQuantity = (items, line, quantity) => {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return reject('INVALID_QUANTITY', 'Quantity must be a whole number of at least 1', null);
+  }
+
+  const others = items
+    .filter(item => item.productId === line.productId && item.id !== line.id)
+    .reduce((sum, item) => sum + item.quantity, 0);
+  const max = Math.max(0, quantityLimit(line) - others);
+  if (quantity <= max) return { ok: true };
+
+  if (line.stock != null && line.stock <= 0) {
+    return reject('OUT_OF_STOCK', `${line.name} is out of stock`, 0);
+  }
+  if (line.stock != null && others + quantity > line.stock) {
+    return reject('INSUFFICIENT_STOCK', `Only ${line.stock} ${line.name} left in stock`, max);
+  }
+  return reject('LIMIT_EXCEEDED', `Limit of ${line.maxPerCustomer} ${line.name} per customer`, max);
+};
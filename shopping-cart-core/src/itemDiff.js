@@ -0,0 +1,11 @@
+// Item-level difference between two item arrays, keyed by `id`.
+// Lets adapters write only what changed instead of rewriting the cart.
+export const diffItems = (prevItems, nextItems) => {
+  const prevById = new Map(prevItems.map(item => [item.id, item]));
+  const nextIds = new Set(nextItems.map(item => item.id));
+
+  return {
+    put: nextItems.filter(item => prevById.get(item.id) !== item),
+    remove: prevItems.filter(item => !nextIds.has(item.id)).map(item => item.id),
+  };
+};
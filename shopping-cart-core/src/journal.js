@@ -0,0 +1,46 @@
+// Write-ahead journal of item-level writes, kept in localStorage.
+// Appending is synchronous, so an entry survives the tab closing right after
+// a mutation; entries are dropped only once the target store has committed
+// them. Entries are { seq, op: 'put', value } or { seq, op: 'delete', key },
+// with `store` naming the target object store when it is not the cart lines.
+
+const readEntries = (storageKey) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) ?? [];
+  } catch (error) {
+    console.error('Ignoring unreadable journal:', error);
+    return [];
+  }
+};
+
+export const createJournal = (storageKey) => {
+  let seq = readEntries(storageKey).reduce((max, entry) => Math.max(max, entry.seq), 0);
+
+  return {
+    storageKey,
+    entries: () => readEntries(storageKey),
+    append: (ops) => {
+      if (ops.length === 0) return;
+      const entries = readEntries(storageKey);
+      ops.forEach(op => {
+        seq += 1;
+        entries.push({ ...op, seq });
+      });
+      localStorage.setItem(storageKey, JSON.stringify(entries));
+    },
+    // Drops every entry up to and including `lastSeq`
+    acknowledge: (lastSeq) => {
+      const rest = readEntries(storageKey).filter(entry => entry.seq > lastSeq);
+      if (rest.length > 0) {
+        localStorage.setItem(storageKey, JSON.stringify(rest));
+      } else {
+        localStorage.removeItem(storageKey);
+      }
+    },
+  };
+};
+
+// Storage keys of every journal under `prefix`, including ones left behind
+// by tabs that closed before flushing
+export const findJournalKeys = (prefix) =>
+  Object.keys(localStorage).filter(storageKey => storageKey.startsWith(prefix));
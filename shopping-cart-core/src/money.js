@@ -0,0 +1,97 @@
+// Money values are { amount, currency }: an integer number of minor units
+// (cents, pence; whole yen for JPY) and an ISO 4217 currency code. Arithmetic
+// stays in integers so totals never pick up floating-point drift; the only
+// rounding happens when multiplying by a non-integer factor or converting.
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Units of each currency per US dollar. A local table, not live rates.
+export const EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 149.5,
+  CAD: 1.36,
+};
+
+const digitsCache = new Map();
+
+// Number of minor-unit digits, e.g. 2 for USD and 0 for JPY
+export const currencyDigits = (currency) => {
+  if (!digitsCache.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency })
+      .resolvedOptions();
+    digitsCache.set(currency, maximumFractionDigits);
+  }
+  return digitsCache.get(currency);
+};
+
+export const money = (amount, currency = DEFAULT_CURRENCY) => {
+  if (!Number.isInteger(amount)) {
+    throw new TypeError(`Money amounts are integer minor units, got ${amount}`);
+  }
+  return { amount, currency };
+};
+
+export const zeroMoney = (currency = DEFAULT_CURRENCY) => money(0, currency);
+
+// 9.99 USD -> { amount: 999, currency: 'USD' }
+export const fromMajor = (value, currency = DEFAULT_CURRENCY) =>
+  money(Math.round(value * 10 ** currencyDigits(currency)), currency);
+
+export const toMajor = ({ amount, currency }) => amount / 10 ** currencyDigits(currency);
+
+const assertSameCurrency = (a, b) => {
+  if (a.currency !== b.currency) {
+    throw new Error(`Currency mismatch: ${a.currency} and ${b.currency}`);
+  }
+};
+
+export const addMoney = (a, b) => {
+  assertSameCurrency(a, b);
+  return money(a.amount + b.amount, a.currency);
+};
+
+export const subtractMoney = (a, b) => {
+  assertSameCurrency(a, b);
+  return money(a.amount - b.amount, a.currency);
+};
+
+// Rounds half away from zero to the nearest minor unit
+export const multiplyMoney = (value, factor) =>
+  money(Math.sign(value.amount * factor) * Math.round(Math.abs(value.amount * factor)), value.currency);
+
+export const compareMoney = (a, b) => {
+  assertSameCurrency(a, b);
+  return a.amount - b.amount;
+};
+
+export const convertMoney = (value, currency, rates = EXCHANGE_RATES) => {
+  if (value.currency === currency) return value;
+  const from = rates[value.currency];
+  const to = rates[currency];
+  if (from == null || to == null) {
+    throw new Error(`No exchange rate between ${value.currency} and ${currency}`);
+  }
+  const major = toMajor(value) * (to / from);
+  return fromMajor(major, currency);
+};
+
+// Sums values per currency first, then converts each subtotal once
+export const sumMoney = (values, currency = DEFAULT_CURRENCY, rates = EXCHANGE_RATES) => {
+  const byCurrency = new Map();
+  values.forEach(value => {
+    byCurrency.set(value.currency, (byCurrency.get(value.currency) ?? 0) + value.amount);
+  });
+  return [...byCurrency].reduce(
+    (total, [from, amount]) => addMoney(total, convertMoney(money(amount, from), currency, rates)),
+    zeroMoney(currency)
+  );
+};
+
+export const formatMoney = (value, locale) =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency: value.currency }).format(toMajor(value));
+
+// Plain numbers are prices stored before Money existed: major USD units
+export const toMoney = (value) =>
+  typeof value === 'number' ? fromMajor(value, DEFAULT_CURRENCY) : value;
@@ -0,0 +1,49 @@
+import { lineTotal } from '../cartReducer.js';
+import { addMoney, convertMoney, subtractMoney, zeroMoney, DEFAULT_CURRENCY, EXCHANGE_RATES } from '../money.js';
+import { priceCart } from './pricingEngine.js';
+import { calculateShipping, availableShippingMethods, SHIPPING_METHODS } from './shipping.js';
+import { calculateTax, TAX_TABLES, DEFAULT_REGION } from './tax.js';
+
+// Full order breakdown for the cart: subtotal, discounts, shipping, tax and
+// grand total, all in `currency`
+export const calculateOrderTotals = (state, {
+  promotions = [],
+  currency = DEFAULT_CURRENCY,
+  rates = EXCHANGE_RATES,
+  taxTables = TAX_TABLES,
+  shippingMethods = SHIPPING_METHODS,
+  defaultRegion = DEFAULT_REGION,
+} = {}) => {
+  const convert = (value) => convertMoney(value, currency, rates);
+  const region = state.region ?? defaultRegion;
+  const methods = availableShippingMethods(region, shippingMethods);
+  const method = methods.find(method => method.id === state.shippingMethod) ?? methods[0];
+
+  const pricing = priceCart(state.items, state.coupons, { promotions, currency, rates });
+
+  const lines = state.items.map(item => {
+    const discounts = pricing.lineDiscounts[item.id] ?? [];
+    const net = discounts.reduce((net, discount) => subtractMoney(net, discount.amount), convert(lineTotal(item)));
+    return { item, net };
+  });
+  const lineNet = lines.reduce((sum, line) => addMoney(sum, line.net), zeroMoney(currency));
+  const orderDiscount = subtractMoney(lineNet, pricing.total);
+
+  const shipping = calculateShipping({
+    items: state.items,
+    subtotal: pricing.total,
+    method,
+    freeShipping: pricing.freeShipping,
+    convert,
+  });
+  const tax = calculateTax({ lines, orderDiscount, shipping: shipping.amount, region, taxTables });
+
+  return {
+    ...pricing,
+    region,
+    shippingMethods: methods,
+    shipping,
+    tax,
+    grandTotal: addMoney(addMoney(pricing.total, shipping.amount), tax.amount),
+  };
+};
@@ -0,0 +1,151 @@
+import { lineTotal } from '../cartReducer.js';
+import {
+  addMoney,
+  compareMoney,
+  convertMoney,
+  multiplyMoney,
+  subtractMoney,
+  zeroMoney,
+  DEFAULT_CURRENCY,
+  EXCHANGE_RATES,
+} from '../money.js';
+
+// Promotion and discount engine. Prices the cart in the cart currency and
+// returns a line-by-line breakdown of every discount it applied.
+//
+// Stacking rules:
+// - Coupon promotions only apply while their code is on the cart.
+// - On one line, stackable discounts add up; of the non-stackable ones only
+//   the largest counts. A line never goes below zero.
+// - Order-level fixed discounts apply after line discounts, in order.
+// - Exclusive promotions are not combined with any other discount: the
+//   engine prices every exclusive promotion on its own and all the others
+//   together, and keeps whichever saves the customer most.
+// - Free shipping is a perk rather than a discount and is never excluded.
+
+const minMoney = (a, b) => (compareMoney(a, b) <= 0 ? a : b);
+
+const isEligible = (promotion, item) => {
+  const { productIds, categories } = promotion.appliesTo ?? {};
+  if (productIds && !productIds.includes(item.productId)) return false;
+  if (categories && !categories.includes(item.category)) return false;
+  return true;
+};
+
+// Line-level rules: discount for one line, given its total in cart currency
+const LINE_RULES = {
+  percentage: (promotion, item, total) => multiplyMoney(total, promotion.percent / 100),
+  buyXgetY: (promotion, item, total) => {
+    const freeUnits = Math.floor(item.quantity / (promotion.buy + promotion.get)) * promotion.get;
+    const unitPrice = multiplyMoney(total, 1 / item.quantity);
+    return multiplyMoney(unitPrice, freeUnits * (promotion.percentOff ?? 100) / 100);
+  },
+  tiered: (promotion, item, total) => {
+    const tier = [...promotion.tiers]
+      .sort((a, b) => b.minQuantity - a.minQuantity)
+      .find(tier => item.quantity >= tier.minQuantity);
+    return tier ? multiplyMoney(total, tier.percent / 100) : zeroMoney(total.currency);
+  },
+};
+
+const evaluate = (promotions, lines, subtotal, convert) => {
+  const currency = subtotal.currency;
+  const applied = new Map();
+  const record = (promotion, amount) => {
+    const previous = applied.get(promotion.id)?.amount ?? zeroMoney(currency);
+    applied.set(promotion.id, { promotionId: promotion.id, label: promotion.label, amount: addMoney(previous, amount) });
+  };
+
+  const lineDiscounts = {};
+  let discounted = zeroMoney(currency);
+
+  lines.forEach(({ item, total }) => {
+    const candidates = promotions
+      .filter(promotion => LINE_RULES[promotion.type] && isEligible(promotion, item))
+      .map(promotion => ({ promotion, amount: LINE_RULES[promotion.type](promotion, item, total) }))
+      .filter(({ amount }) => amount.amount > 0);
+
+    const best = candidates
+      .filter(({ promotion }) => !promotion.stackable)
+      .sort((a, b) => compareMoney(b.amount, a.amount))[0];
+    const chosen = [...candidates.filter(({ promotion }) => promotion.stackable), ...(best ? [best] : [])];
+
+    let remaining = total;
+    lineDiscounts[item.id] = chosen.map(({ promotion, amount }) => {
+      const capped = minMoney(amount, remaining);
+      remaining = subtractMoney(remaining, capped);
+      record(promotion, capped);
+      return { promotionId: promotion.id, label: promotion.label, amount: capped };
+    }).filter(discount => discount.amount.amount > 0);
+    discounted = addMoney(discounted, remaining);
+  });
+
+  promotions
+    .filter(promotion => promotion.type === 'fixed')
+    .forEach(promotion => {
+      if (promotion.minSubtotal && compareMoney(subtotal, convert(promotion.minSubtotal)) < 0) return;
+      const amount = minMoney(convert(promotion.amount), discounted);
+      if (amount.amount <= 0) return;
+      discounted = subtractMoney(discounted, amount);
+      record(promotion, amount);
+    });
+
+  return {
+    lineDiscounts,
+    discounts: [...applied.values()],
+    discountTotal: subtractMoney(subtotal, discounted),
+    total: discounted,
+  };
+};
+
+export const priceCart = (items, coupons = [], {
+  promotions = [],
+  currency = DEFAULT_CURRENCY,
+  rates = EXCHANGE_RATES,
+} = {}) => {
+  const convert = (value) => convertMoney(value, currency, rates);
+  const lines = items.map(item => ({ item, total: convert(lineTotal(item)) }));
+  const subtotal = lines.reduce((sum, line) => addMoney(sum, line.total), zeroMoney(currency));
+
+  const active = promotions.filter(promotion => !promotion.code || coupons.includes(promotion.code));
+  const discountable = active.filter(promotion => promotion.type !== 'freeShipping');
+  const options = [
+    discountable.filter(promotion => !promotion.exclusive),
+    ...discountable.filter(promotion => promotion.exclusive).map(promotion => [promotion]),
+  ];
+  const best = options
+    .map(option => evaluate(option, lines, subtotal, convert))
+    .reduce((best, result) => (compareMoney(result.discountTotal, best.discountTotal) > 0 ? result : best));
+
+  const freeShipping = active
+    .filter(promotion => promotion.type === 'freeShipping')
+    .find(promotion => compareMoney(best.total, convert(promotion.threshold)) >= 0);
+
+  return {
+    subtotal,
+    ...best,
+    freeShipping: freeShipping
+      ? { promotionId: freeShipping.id, label: freeShipping.label, methods: freeShipping.methods }
+      : null,
+  };
+};
+
+export const normalizeCouponCode = (code) => code.trim().toUpperCase();
+
+// Checks a coupon code before it is added to the cart. Returns
+// { ok: true, code } or { ok: false, error: { code, message } }.
+export const validateCoupon = (input, appliedCodes, promotions) => {
+  const code = normalizeCouponCode(input);
+  const promotion = promotions.find(promotion => promotion.code === code);
+  const fail = (errorCode, message) => ({ ok: false, error: { code: errorCode, message } });
+
+  if (!code) return fail('EMPTY_COUPON', 'Enter a coupon code');
+  if (!promotion) return fail('UNKNOWN_COUPON', `"${code}" is not a valid coupon code`);
+  if (appliedCodes.includes(code)) return fail('COUPON_ALREADY_APPLIED', `${code} is already applied`);
+
+  const applied = promotions.filter(other => appliedCodes.includes(other.code));
+  if (applied.length > 0 && (promotion.exclusive || applied.some(other => other.exclusive))) {
+    return fail('COUPON_NOT_COMBINABLE', `${code} cannot be combined with other coupons`);
+  }
+  return { ok: true, code };
+};
@@ -0,0 +1,61 @@
+import { money } from '../money.js';
+
+// Sample promotions. Each one has
+//   id, label     identifier and the text shown in the discount breakdown
+//   type          'percentage' | 'fixed' | 'buyXgetY' | 'tiered' | 'freeShipping'
+//   code          coupon code that activates it; automatic when omitted
+//   appliesTo     optional { productIds, categories } limiting eligible lines
+//   exclusive     never combined with other promotions (free shipping aside)
+//   stackable     line discounts that add to others on the same line; otherwise
+//                 only the largest non-stackable discount on a line counts
+export const DEFAULT_PROMOTIONS = [
+  {
+    id: 'save10',
+    label: '10% off (SAVE10)',
+    type: 'percentage',
+    code: 'SAVE10',
+    percent: 10,
+  },
+  {
+    id: 'take25',
+    label: '$25 off orders over $200 (TAKE25)',
+    type: 'fixed',
+    code: 'TAKE25',
+    amount: money(2500),
+    minSubtotal: money(20000),
+  },
+  {
+    id: 'halfaudio',
+    label: '50% off audio (HALFAUDIO)',
+    type: 'percentage',
+    code: 'HALFAUDIO',
+    percent: 50,
+    appliesTo: { categories: ['Audio'] },
+    exclusive: true,
+  },
+  {
+    id: 'accessories-3for2',
+    label: 'Accessories: buy 2, get 1 free',
+    type: 'buyXgetY',
+    buy: 2,
+    get: 1,
+    appliesTo: { categories: ['Accessories'] },
+  },
+  {
+    id: 'bulk',
+    label: 'Bulk discount',
+    type: 'tiered',
+    tiers: [
+      { minQuantity: 3, percent: 5 },
+      { minQuantity: 10, percent: 10 },
+    ],
+  },
+  {
+    id: 'free-shipping',
+    label: 'Free shipping over $500',
+    type: 'freeShipping',
+    threshold: money(50000),
+    // Shipping methods it covers; all of them when omitted
+    methods: ['standard', 'value'],
+  },
+];
@@ -0,0 +1,63 @@
+import { addMoney, compareMoney, money, multiplyMoney, zeroMoney } from '../money.js';
+
+// Shipping methods and the rule that prices each of them:
+//   weight      base + perKg for every started kilogram
+//   itemCount   base + perItem for every unit after the first
+//   orderValue  cost of the first tier whose `upTo` covers the subtotal
+// `regions` limits a method to region codes starting with one of the prefixes.
+export const SHIPPING_METHODS = [
+  {
+    id: 'standard',
+    label: 'Standard (5-7 days)',
+    rule: { type: 'weight', base: money(499), perKg: money(150) },
+  },
+  {
+    id: 'value',
+    label: 'Economy (7-10 days)',
+    rule: {
+      type: 'orderValue',
+      tiers: [
+        { upTo: money(5000), cost: money(799) },
+        { upTo: money(25000), cost: money(399) },
+        { cost: money(0) },
+      ],
+    },
+  },
+  {
+    id: 'express',
+    label: 'Express (1-2 days)',
+    regions: ['US'],
+    rule: { type: 'itemCount', base: money(1499), perItem: money(200) },
+  },
+];
+
+export const availableShippingMethods = (region, methods = SHIPPING_METHODS) =>
+  methods.filter(method => !method.regions || method.regions.some(prefix => region?.startsWith(prefix)));
+
+const RULES = {
+  weight: (rule, { items, convert }) => {
+    const grams = items.reduce((sum, item) => sum + (item.weight ?? 0) * item.quantity, 0);
+    return addMoney(convert(rule.base), multiplyMoney(convert(rule.perKg), Math.ceil(grams / 1000)));
+  },
+  itemCount: (rule, { items, convert }) => {
+    const count = items.reduce((sum, item) => sum + item.quantity, 0);
+    return addMoney(convert(rule.base), multiplyMoney(convert(rule.perItem), Math.max(0, count - 1)));
+  },
+  orderValue: (rule, { subtotal, convert }) => {
+    const tier = rule.tiers.find(tier => !tier.upTo || compareMoney(subtotal, convert(tier.upTo)) <= 0);
+    return convert(tier.cost);
+  },
+};
+
+// Shipping for `items` with the chosen method, in the currency of `subtotal`.
+// A free-shipping promotion zeroes the methods it covers.
+export const calculateShipping = ({ items, subtotal, method, freeShipping, convert }) => {
+  const currency = subtotal.currency;
+  if (items.length === 0 || !method) {
+    return { method, amount: zeroMoney(currency), free: false };
+  }
+  if (freeShipping && (!freeShipping.methods || freeShipping.methods.includes(method.id))) {
+    return { method, amount: zeroMoney(currency), free: true, label: freeShipping.label };
+  }
+  return { method, amount: RULES[method.rule.type](method.rule, { items, subtotal, convert }), free: false };
+};
@@ -0,0 +1,43 @@
+import { multiplyMoney, subtractMoney, addMoney, zeroMoney } from '../money.js';
+
+// Sales tax / VAT per destination region. Lines in an exempt category are not
+// taxed; `taxShipping` adds the shipping charge to the taxable amount.
+export const TAX_TABLES = {
+  'US-CA': { name: 'California, US', rate: 0.0725, exemptCategories: [], taxShipping: false },
+  'US-NY': { name: 'New York, US', rate: 0.04, exemptCategories: ['Wearables'], taxShipping: true },
+  'US-OR': { name: 'Oregon, US', rate: 0, exemptCategories: [], taxShipping: false },
+  'US-PA': { name: 'Pennsylvania, US', rate: 0.06, exemptCategories: ['Wearables', 'Accessories'], taxShipping: true },
+  DE: { name: 'Germany', rate: 0.19, exemptCategories: [], taxShipping: true },
+  GB: { name: 'United Kingdom', rate: 0.2, exemptCategories: [], taxShipping: true },
+  JP: { name: 'Japan', rate: 0.1, exemptCategories: [], taxShipping: true },
+};
+
+export const DEFAULT_REGION = 'US-CA';
+
+// `lines` are { item, net } with `net` the line total after line discounts;
+// `orderDiscount` is spread over the lines in proportion to their net amount.
+export const calculateTax = ({ lines, orderDiscount, shipping, region, taxTables = TAX_TABLES }) => {
+  const currency = shipping.currency;
+  const table = taxTables[region];
+  if (!table) {
+    return { region, name: region, rate: 0, taxable: zeroMoney(currency), amount: zeroMoney(currency) };
+  }
+
+  const sum = (list) => list.reduce((total, line) => addMoney(total, line.net), zeroMoney(currency));
+  const all = sum(lines);
+  const taxableLines = sum(lines.filter(line => !table.exemptCategories.includes(line.item.category)));
+  const discountShare = all.amount > 0
+    ? multiplyMoney(orderDiscount, taxableLines.amount / all.amount)
+    : zeroMoney(currency);
+
+  let taxable = subtractMoney(taxableLines, discountShare);
+  if (table.taxShipping) taxable = addMoney(taxable, shipping);
+
+  return {
+    region,
+    name: table.name,
+    rate: table.rate,
+    taxable,
+    amount: multiplyMoney(taxable, table.rate),
+  };
+};
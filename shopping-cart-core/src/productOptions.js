@@ -0,0 +1,62 @@
+import { money, toMoney } from './money.js';
+
+// Product options and variants.
+//
+// A product may declare option groups, each option with a price modifier and
+// a SKU code (price modifiers are integer minor units of the product's currency):
+//   optionGroups: [{ id: 'color', name: 'Color', options: [{ id: 'black', label: 'Black', priceModifier: 0, sku: 'BLK' }] }]
+// A cart line is one product in one combination of options, so its id is
+// derived from both. Products without options keep their plain product id.
+
+// Chosen option per group, defaulting to the first option of each group
+export const resolveOptions = (product, selected = {}) =>
+  (product.optionGroups ?? []).map(group => ({
+    group,
+    option: group.options.find(option => option.id === selected[group.id]) ?? group.options[0],
+  }));
+
+export const lineKey = (productId, options = {}) => {
+  const parts = Object.keys(options).sort().map(groupId => `${groupId}=${options[groupId]}`);
+  return parts.length > 0 ? [productId, ...parts].join('|') : productId;
+};
+
+export const variantPrice = (product, selected) =>
+  resolveOptions(product, selected).reduce(
+    (price, { option }) => money(price.amount + (option.priceModifier ?? 0), price.currency),
+    toMoney(product.price)
+  );
+
+export const variantSku = (product, selected) =>
+  [product.sku, ...resolveOptions(product, selected).map(({ option }) => option.sku)]
+    .filter(Boolean)
+    .join('-');
+
+// New cart line for `product` with the `selected` options ({ groupId: optionId })
+export const createLine = (product, selected) => {
+  const choices = resolveOptions(product, selected);
+  const options = Object.fromEntries(choices.map(({ group, option }) => [group.id, option.id]));
+
+  return {
+    id: lineKey(product.id, options),
+    productId: product.id,
+    name: product.name,
+    category: product.category,
+    weight: product.weight ?? 0,
+    stock: product.stock,
+    maxPerCustomer: product.maxPerCustomer,
+    price: variantPrice(product, selected),
+    sku: variantSku(product, selected),
+    options,
+    variant: choices.map(({ option }) => option.label).join(' / '),
+    quantity: 1,
+  };
+};
+
+// Upgrades lines stored by older versions: before options existed lines were
+// keyed by product id alone, and before Money prices were plain USD numbers
+export const normalizeLine = (item) => {
+  const line = item.productId != null
+    ? item
+    : { ...item, productId: item.id, options: {}, variant: '' };
+  return typeof line.price === 'number' ? { ...line, price: toMoney(line.price) } : line;
+};
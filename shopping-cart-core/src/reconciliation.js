@@ -0,0 +1,90 @@
+import { createLine } from './productOptions.js';
+import { quantityLimit, stockStatus } from './inventory.js';
+
+// Cart lines copy the product's name, price and stock when they are added, so
+// a persisted cart goes stale as the catalog changes. The provider compares
+// the lines with current product data and asks before applying any of:
+//   price         the price changed; accepting takes the new one
+//   quantity      fewer units can be bought now; accepting lowers the quantity
+//   unavailable   out of stock; accepting moves the line to Saved for later
+//   discontinued  the product or variant is gone; accepting removes the line
+
+// Carts untouched for this long are emptied
+export const DEFAULT_CART_TTL = 30 * 24 * 60 * 60 * 1000;
+
+const samePrice = (a, b) => a.amount === b.amount && a.currency === b.currency;
+
+// Differences between `items` and the catalog's `products`. An empty catalog
+// (e.g. offline before the first sync) reports nothing rather than flagging
+// every line as discontinued.
+export const findCartChanges = (items, products) => {
+  if (products.length === 0) return [];
+  const byId = new Map(products.map(product => [product.id, product]));
+
+  return items.flatMap(item => {
+    const base = { lineId: item.id, name: item.name };
+    const product = byId.get(item.productId);
+    // An option that is no longer offered resolves to another variant
+    const line = product && createLine(product, item.options);
+    if (!line || line.id !== item.id) return [{ ...base, type: 'discontinued' }];
+    if (stockStatus(product).status === 'out') return [{ ...base, type: 'unavailable' }];
+
+    const changes = [];
+    const limit = quantityLimit(product);
+    if (item.quantity > limit) {
+      changes.push({ ...base, type: 'quantity', before: item.quantity, after: limit });
+    }
+    if (!samePrice(item.price, line.price)) {
+      changes.push({ ...base, type: 'price', before: item.price, after: line.price, line });
+    }
+    return changes;
+  });
+};
+
+// Applies accepted changes to the cart state. Changes to lines that are no
+// longer in the cart are skipped.
+export const applyCartChanges = (state, changes, now) => {
+  let { items, saved } = state;
+
+  changes.forEach(change => {
+    const item = items.find(line => line.id === change.lineId);
+    if (!item) return;
+
+    switch (change.type) {
+      case 'discontinued':
+        items = items.filter(line => line.id !== item.id);
+        break;
+      case 'unavailable':
+        items = items.filter(line => line.id !== item.id);
+        saved = saved.some(line => line.id === item.id)
+          ? saved.map(line => (line.id === item.id ? { ...line, quantity: line.quantity + item.quantity } : line))
+          : [...saved, { ...item, addedAt: now }];
+        break;
+      case 'quantity':
+        items = items.map(line => (line.id === item.id ? { ...line, quantity: change.after, updatedAt: now } : line));
+        break;
+      case 'price':
+        items = items.map(line => (line.id === item.id
+          ? { ...line, ...change.line, quantity: line.quantity, addedAt: line.addedAt, updatedAt: now }
+          : line));
+        break;
+      default:
+        break;
+    }
+  });
+
+  return items === state.items && saved === state.saved ? state : { ...state, items, saved };
+};
+
+// When the cart lines were last changed; null if unknown (nothing stored yet,
+// or lines saved before changes were timestamped)
+export const cartUpdatedAt = (state) => {
+  const times = state.items.map(item => item.updatedAt ?? item.addedAt ?? 0);
+  const latest = Math.max(0, ...times);
+  return latest > 0 ? latest : null;
+};
+
+export const isCartExpired = (state, ttl, now) => {
+  const updatedAt = cartUpdatedAt(state);
+  return Boolean(ttl && updatedAt && now - updatedAt > ttl);
+};
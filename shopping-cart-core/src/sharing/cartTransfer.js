@@ -0,0 +1,217 @@
+import { sanitizeStoredCart } from '../cartSchema.js';
+import { cartAttributes } from '../cartReducer.js';
+import { lineKey } from '../productOptions.js';
+import { validateQuantity } from '../inventory.js';
+import { currencyDigits, fromMajor, toMajor, EXCHANGE_RATES } from '../money.js';
+
+// Moving carts between browsers as files.
+//
+// A JSON export is the whole cart, { format, version, exportedAt, cart }. A CSV
+// export has one row per line of the cart and of the saved list, and leaves
+// out coupons and the other attributes. Prices in CSV are in major units
+// ("19.99") of the row's currency.
+// Lines priced in a currency the shop has no rate for are dropped, since the
+// totals could not convert them.
+// Imports resolve to { ok: true, cart, dropped } with `dropped` the number of
+// rows or values that were not usable, or { ok: false, error: { code, message } }.
+
+export const CART_EXPORT_FORMAT = 'shopping-cart';
+export const CART_EXPORT_VERSION = 1;
+export const INVALID_IMPORT = 'INVALID_IMPORT';
+
+export const CSV_COLUMNS = [
+  'list', 'id', 'productId', 'sku', 'name', 'variant', 'options',
+  'quantity', 'price', 'currency', 'category', 'weight', 'stock', 'maxPerCustomer',
+];
+
+const fail = (message) => ({ ok: false, error: { code: INVALID_IMPORT, message } });
+
+export const exportCartJSON = (state, now = Date.now()) =>
+  JSON.stringify({
+    format: CART_EXPORT_FORMAT,
+    version: CART_EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    cart: { ...cartAttributes(state), items: state.items, saved: state.saved },
+  }, null, 2);
+
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text of `rows`, each an array of fields
+export const formatCSV = (rows) => rows.map(fields => fields.map(csvField).join(',')).join('\r\n');
+
+const formatOptions = (options = {}) =>
+  Object.keys(options).sort().map(groupId => `${groupId}=${options[groupId]}`).join(';');
+
+export const exportCartCSV = (state) => {
+  const row = (list, line) => ({
+    ...line,
+    list,
+    options: formatOptions(line.options),
+    price: toMajor(line.price).toFixed(currencyDigits(line.price.currency)),
+    currency: line.price.currency,
+  });
+  const rows = [
+    ...state.items.map(line => row('cart', line)),
+    ...state.saved.map(line => row('saved', line)),
+  ];
+  return formatCSV([CSV_COLUMNS, ...rows.map(line => CSV_COLUMNS.map(column => line[column]))]);
+};
+
+// Rows of fields; quoted fields may hold commas, quotes and line breaks
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Catalog ids are numbers; a CSV cell only says "12"
+const parseId = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+const optionalNumber = (value) => (value === '' || value == null ? undefined : Number(value));
+
+const parseOptions = (text) =>
+  Object.fromEntries(
+    text.split(';').filter(Boolean).map(pair => pair.split('=').map(part => part.trim()))
+  );
+
+const linesFromCSV = (text, currencies) => {
+  const [header, ...rows] = parseCSV(text);
+  const columns = (header ?? []).map(name => name.trim());
+  const missing = ['productId', 'quantity', 'price', 'currency'].filter(name => !columns.includes(name));
+  if (missing.length > 0) return { error: `The CSV file has no ${missing.join(', ')} column.` };
+
+  const items = [];
+  const saved = [];
+  rows.forEach(fields => {
+    const value = Object.fromEntries(columns.map((name, i) => [name, (fields[i] ?? '').trim()]));
+    const productId = parseId(value.productId);
+    const options = parseOptions(value.options ?? '');
+    const price = Number(value.price);
+    const currency = value.currency.toUpperCase();
+    const line = {
+      id: lineKey(productId, options),
+      productId,
+      name: value.name || String(productId),
+      sku: value.sku,
+      variant: value.variant ?? '',
+      options,
+      category: value.category,
+      weight: optionalNumber(value.weight) ?? 0,
+      stock: optionalNumber(value.stock),
+      maxPerCustomer: optionalNumber(value.maxPerCustomer),
+      quantity: Number(value.quantity),
+      // An unusable price leaves the line invalid, so it is dropped below
+      price: value.productId && Number.isFinite(price) && currencies.includes(currency)
+        ? fromMajor(price, currency)
+        : null,
+    };
+    (value.list === 'saved' ? saved : items).push(line);
+  });
+  return { cart: { items, saved }, rows: rows.length };
+};
+
+const cartFromJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'The file is not valid JSON.' };
+  }
+  if (data?.format === CART_EXPORT_FORMAT) {
+    if (data.version > CART_EXPORT_VERSION) {
+      return { error: 'The file was exported by a newer version of the app.' };
+    }
+    return { cart: data.cart };
+  }
+  // A bare cart state or line array, as kept in storage
+  return { cart: data };
+};
+
+// Reads a JSON or CSV export and checks it like stored carts are checked.
+// `currencies` are the codes prices may be in (the keys of the shop's rates).
+export const parseCartImport = (text, currencies = Object.keys(EXCHANGE_RATES)) => {
+  const trimmed = String(text ?? '').trim();
+  if (trimmed === '') return fail('The file is empty.');
+
+  const parsed = /^[[{]/.test(trimmed) ? cartFromJSON(trimmed) : linesFromCSV(trimmed, currencies);
+  if (parsed.error) return fail(parsed.error);
+
+  const sanitized = sanitizeStoredCart(parsed.cart);
+  if (!sanitized.state) return fail('The file does not contain a cart.');
+  // Legacy number prices are in the default currency
+  const priced = (lines) => lines.filter(line => Number.isFinite(line.price) || currencies.includes(line.price.currency));
+  const items = priced(sanitized.state.items);
+  const saved = priced(sanitized.state.saved);
+  const state = { ...sanitized.state, items, saved };
+  const dropped = sanitized.dropped +
+    sanitized.state.items.length - items.length +
+    sanitized.state.saved.length - saved.length;
+  if (state.items.length === 0 && state.saved.length === 0) {
+    return fail(dropped > 0 ? 'None of the lines in the file could be read.' : 'The cart in the file is empty.');
+  }
+  return { ok: true, cart: state, dropped };
+};
+
+// Fits incoming lines into `items` without passing stock or purchase limits;
+// with `mode` 'merge' their quantities add to lines already in the cart.
+// Returns { lines, limited } where `lines` are the incoming lines with the
+// quantity they get and `limited` lists [{ lineId, name, code, message }]
+// for lines cut short or left out.
+export const fitImportedLines = (items, incoming, mode = 'merge') => {
+  let cart = mode === 'merge' ? items : [];
+  const lines = [];
+  const limited = [];
+
+  incoming.forEach(line => {
+    const existing = cart.find(item => item.id === line.id);
+    const before = existing?.quantity ?? 0;
+    const check = validateQuantity(cart, line, before + line.quantity);
+    const quantity = check.ok ? line.quantity : Math.max(0, (check.error.max ?? 0) - before);
+    if (!check.ok) {
+      limited.push({ lineId: line.id, name: line.name, code: check.error.code, message: check.error.message });
+    }
+    if (quantity === 0) return;
+    lines.push({ ...line, quantity });
+    cart = existing
+      ? cart.map(item => (item.id === line.id ? { ...item, quantity: before + quantity } : item))
+      : [...cart, { ...line, quantity }];
+  });
+
+  return { lines, limited };
+};
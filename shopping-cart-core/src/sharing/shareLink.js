@@ -0,0 +1,123 @@
+import { createLine } from '../productOptions.js';
+
+// Share links carry a cart in the URL fragment, which browsers never send to
+// a server: `#share=<payload>`, the payload being base64url-encoded JSON.
+// To keep links short it only names products, options and quantities,
+//   { v: 1, l: [[productId, quantity, options?], ...], c: [couponCode, ...] }
+// and names, prices and stock come from the catalog of whoever opens it.
+
+export const SHARE_PARAM = 'share';
+export const SHARE_VERSION = 1;
+export const INVALID_LINK = 'INVALID_LINK';
+
+const toBase64Url = (text) => {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+export const encodeSharedCart = (state) => {
+  const lines = state.items.map(line =>
+    Object.keys(line.options ?? {}).length > 0
+      ? [line.productId, line.quantity, line.options]
+      : [line.productId, line.quantity]
+  );
+  return toBase64Url(JSON.stringify({
+    v: SHARE_VERSION,
+    l: lines,
+    ...(state.coupons.length > 0 && { c: state.coupons }),
+  }));
+};
+
+export const createShareLink = (state, baseUrl = window.location.href) => {
+  const url = new URL(baseUrl);
+  url.hash = `${SHARE_PARAM}=${encodeSharedCart(state)}`;
+  return url.toString();
+};
+
+const isSharedLine = (line) =>
+  Array.isArray(line) &&
+  (typeof line[0] === 'number' || typeof line[0] === 'string') &&
+  Number.isInteger(line[1]) &&
+  line[1] > 0 &&
+  (line[2] === undefined || (typeof line[2] === 'object' && line[2] !== null && !Array.isArray(line[2])));
+
+// The cart shared in `url`: null when there is none, otherwise
+// { ok: true, share: { lines: [{ productId, quantity, options }], coupons } }
+// or { ok: false, error: { code, message } } for a damaged link
+export const readShareLink = (url = window.location.href) => {
+  const encoded = new URLSearchParams(new URL(url).hash.slice(1)).get(SHARE_PARAM);
+  if (!encoded) return null;
+
+  const invalid = { ok: false, error: { code: INVALID_LINK, message: 'This share link is damaged or incomplete.' } };
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    return invalid;
+  }
+  if (payload?.v !== SHARE_VERSION || !Array.isArray(payload.l) || !payload.l.every(isSharedLine)) {
+    return invalid;
+  }
+  return {
+    ok: true,
+    share: {
+      lines: payload.l.map(([productId, quantity, options = {}]) => ({ productId, quantity, options })),
+      coupons: Array.isArray(payload.c) ? payload.c.filter(code => typeof code === 'string') : [],
+    },
+  };
+};
+
+// Drops the shared cart from the address bar without a reload or a new
+// history entry
+export const clearShareLink = () => {
+  const { pathname, search } = window.location;
+  window.history.replaceState(window.history.state, '', `${pathname}${search}`);
+};
+
+// Cart lines for a shared cart from current product data. Returns
+//   lines        cart lines with the shared quantities
+//   unavailable  [{ productId, name, code, message }] for what is not sold any more
+export const resolveSharedCart = (share, products) => {
+  if (products.length === 0) {
+    return {
+      lines: [],
+      unavailable: share.lines.map(({ productId }) => ({
+        productId,
+        name: String(productId),
+        code: 'CATALOG_UNAVAILABLE',
+        message: 'The shared cart can be shown once the catalog has loaded',
+      })),
+    };
+  }
+
+  const byId = new Map(products.map(product => [product.id, product]));
+  const lines = [];
+  const unavailable = [];
+
+  share.lines.forEach(({ productId, quantity, options }) => {
+    const product = byId.get(productId);
+    const line = product && createLine(product, options);
+    // An option that is no longer offered resolves to another variant
+    if (!line || Object.entries(options).some(([groupId, optionId]) => line.options[groupId] !== optionId)) {
+      const name = product?.name ?? `Product ${productId}`;
+      unavailable.push({ productId, name, code: 'DISCONTINUED', message: `${name} is no longer available` });
+      return;
+    }
+    const existing = lines.find(item => item.id === line.id);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.push({ ...line, quantity });
+    }
+  });
+
+  return { lines, unavailable };
+};
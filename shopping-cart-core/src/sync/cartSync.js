@@ -0,0 +1,221 @@
+import { cartScopedName } from '../cartSchema.js';
+import { cartAttributes, initialCartState } from '../cartReducer.js';
+
+// Offline-first sync of one cart with a REST cart endpoint (see
+// mockCartServer.js for the API).
+//
+// While a user is signed in, every local mutation is appended to an outbound
+// queue in localStorage and pushed in batches. Failed pushes are retried with
+// exponential backoff, and right away when the browser comes back online;
+// queued mutations survive a reload. Signing in pulls the server cart and
+// merges it with the local one (see `mergeCarts`).
+//
+// Status is one of
+//   idle     nobody is signed in, the cart is local only
+//   pending  mutations are queued or a request is in flight
+//   synced   the server has every local change
+//   error    the last request failed; `retryAt` says when the next attempt is
+
+// Same line on both sides: the larger quantity, fields from the newer copy
+const mergeLists = (local, remote) => {
+  const merged = new Map(remote.map(line => [line.id, line]));
+  local.forEach(line => {
+    const other = merged.get(line.id);
+    if (!other) {
+      merged.set(line.id, line);
+      return;
+    }
+    const newer = (line.updatedAt ?? 0) >= (other.updatedAt ?? 0) ? line : other;
+    merged.set(line.id, { ...newer, quantity: Math.max(line.quantity, other.quantity) });
+  });
+  return [...merged.values()].sort((a, b) => (a.addedAt ?? 0) - (b.addedAt ?? 0));
+};
+
+// Union of both carts' lines, saved lines and coupons. Region and shipping
+// method come from the local cart unless it has none.
+export const mergeCarts = (local, remote) => {
+  const server = { ...initialCartState, ...remote };
+  const attributes = { ...cartAttributes(server) };
+  Object.entries(cartAttributes(local)).forEach(([key, value]) => {
+    if (value != null) attributes[key] = value;
+  });
+
+  return {
+    ...attributes,
+    coupons: [...new Set([...server.coupons, ...local.coupons])],
+    items: mergeLists(local.items, server.items),
+    saved: mergeLists(local.saved, server.saved),
+  };
+};
+
+export const createCartSync = ({
+  endpoint = '/api',
+  fetch: fetchImpl = (...args) => fetch(...args),
+  storageKey = 'cart-sync',
+  cartId,
+  baseDelay = 1000,
+  maxDelay = 60 * 1000,
+} = {}) => {
+  // The signed-in user is shared by every cart; queues are per cart
+  const userKey = `${storageKey}:user`;
+  const outboxKey = cartScopedName(`${storageKey}:outbox`, cartId);
+  const linkedKey = cartScopedName(`${storageKey}:linked`, cartId);
+  let handlers = {};
+  let status = { status: 'idle', user: null, pending: 0, error: null, retryAt: null };
+  let attempt = 0;
+  let retryTimeout = null;
+  let flushing = null;
+
+  const readJSON = (key, fallback) => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+      return fallback;
+    }
+  };
+
+  const currentUser = () => readJSON(userKey, null);
+  const outbox = () => readJSON(outboxKey, []);
+  const writeOutbox = (entries) => {
+    if (entries.length > 0) {
+      localStorage.setItem(outboxKey, JSON.stringify(entries));
+    } else {
+      localStorage.removeItem(outboxKey);
+    }
+  };
+  const acknowledge = (ids) => {
+    const done = new Set(ids);
+    writeOutbox(outbox().filter(entry => !done.has(entry.id)));
+  };
+
+  const setStatus = (changes) => {
+    status = { ...status, user: currentUser(), pending: outbox().length, ...changes };
+    handlers.onStatus?.(status);
+  };
+
+  const cartPath = () =>
+    `${endpoint}/users/${encodeURIComponent(currentUser())}/carts/${encodeURIComponent(cartId ?? 'default')}`;
+
+  const request = async (method, url, body) => {
+    const response = await fetchImpl(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const error = new Error(`${method} ${url} failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  };
+
+  const scheduleRetry = (error) => {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    attempt += 1;
+    clearTimeout(retryTimeout);
+    retryTimeout = setTimeout(() => sync(), delay);
+    setStatus({ status: 'error', error: error.message, retryAt: Date.now() + delay });
+  };
+
+  // The server state is only adopted once nothing local is left to push
+  const settle = (serverState) => {
+    attempt = 0;
+    if (outbox().length > 0) return sync();
+    handlers.onServerState?.(serverState);
+    setStatus({ status: 'synced', error: null, retryAt: null });
+  };
+
+  // First sync of this cart for the signed-in user: merge instead of replace.
+  // Queued mutations are already part of the local state being merged.
+  const link = async () => {
+    const remote = await request('GET', cartPath());
+    const queued = outbox().map(entry => entry.id);
+    const merged = mergeCarts(handlers.getState(), remote);
+    const stored = await request('PUT', cartPath(), merged);
+    acknowledge(queued);
+    localStorage.setItem(linkedKey, JSON.stringify(currentUser()));
+    return stored;
+  };
+
+  // Pushes the queue (or pulls when it is empty). Concurrent calls share one run.
+  const sync = () => {
+    if (!currentUser() || !handlers.getState) return Promise.resolve();
+    if (flushing) return flushing;
+    clearTimeout(retryTimeout);
+    setStatus({ status: 'pending' });
+
+    flushing = (async () => {
+      const batch = outbox();
+      try {
+        let serverState;
+        if (readJSON(linkedKey, null) !== currentUser()) {
+          serverState = await link();
+        } else if (batch.length > 0) {
+          serverState = await request('POST', `${cartPath()}/mutations`, { mutations: batch });
+          acknowledge(batch.map(entry => entry.id));
+        } else {
+          serverState = await request('GET', cartPath());
+        }
+        flushing = null;
+        await settle(serverState);
+      } catch (error) {
+        flushing = null;
+        console.error('Cart sync failed:', error);
+        // The server refused the batch; retrying would fail the same way
+        if (error.status >= 400 && error.status < 500) {
+          acknowledge(batch.map(entry => entry.id));
+          setStatus({ status: 'error', error: error.message, retryAt: null });
+        } else {
+          scheduleRetry(error);
+        }
+      }
+    })();
+    return flushing;
+  };
+
+  const handleOnline = () => {
+    attempt = 0;
+    sync();
+  };
+
+  return {
+    getStatus: () => status,
+    // Hooks the sync up to a cart:
+    //   getState()           current local cart state
+    //   onServerState(state) the server cart, to adopt locally
+    //   onStatus(status)     status changes
+    // Returns a function that disconnects it again.
+    connect: (cartHandlers) => {
+      handlers = cartHandlers;
+      if (typeof window !== 'undefined') window.addEventListener('online', handleOnline);
+      setStatus({ status: currentUser() ? 'pending' : 'idle' });
+      sync();
+      return () => {
+        handlers = {};
+        clearTimeout(retryTimeout);
+        if (typeof window !== 'undefined') window.removeEventListener('online', handleOnline);
+      };
+    },
+    // Queues a reducer action; ignored while signed out
+    enqueue: (action) => {
+      if (!currentUser()) return;
+      writeOutbox([...outbox(), { id: crypto.randomUUID(), action }]);
+      sync();
+    },
+    login: (user) => {
+      localStorage.setItem(userKey, JSON.stringify(user));
+      attempt = 0;
+      return sync();
+    },
+    // Keeps the local carts and drops whatever was not pushed yet, for every
+    // cart, so the next sign-in merges each of them again
+    logout: () => {
+      clearTimeout(retryTimeout);
+      Object.keys(localStorage)
+        .filter(key => key.startsWith(`${storageKey}:`))
+        .forEach(key => localStorage.removeItem(key));
+      setStatus({ status: 'idle', error: null, retryAt: null });
+    },
+  };
+};
@@ -0,0 +1,96 @@
+import { cartReducer, initialCartState, HYDRATE } from '../cartReducer.js';
+
+// Local stand-in for the cart REST API, used by the demos and for trying out
+// sync without a backend. `fetch` has the signature of `window.fetch`:
+//   GET  /api/users/:user/carts/:cart            the stored cart state
+//   PUT  /api/users/:user/carts/:cart            replaces it, body is a cart state
+//   POST /api/users/:user/carts/:cart/mutations  applies { mutations: [{ id, action }] }
+// Mutations run through the same cart reducer as the client and are applied
+// at most once per id, so a retried batch is harmless. Every response is the
+// resulting cart state.
+//
+// `setOnline(false)` makes requests fail like a dropped connection and
+// `failureRate` answers that share of requests with a 503, to exercise retries.
+// Carts are kept in localStorage under `storageKey` so they outlive a reload.
+export const createMockCartServer = ({
+  latency = 200,
+  failureRate = 0,
+  storageKey = 'mock-cart-server',
+} = {}) => {
+  let online = true;
+  const memory = {};
+
+  const read = () => {
+    if (typeof localStorage === 'undefined') return memory;
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch {
+      return {};
+    }
+  };
+
+  const write = (data) => {
+    if (typeof localStorage === 'undefined') {
+      Object.assign(memory, data);
+    } else {
+      localStorage.setItem(storageKey, JSON.stringify(data));
+    }
+  };
+
+  const json = (status, body) =>
+    new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+  const handle = (method, path, body) => {
+    const match = path.match(/^\/api\/users\/([^/]+)\/carts\/([^/]+)(\/mutations)?$/);
+    if (!match) return json(404, { error: 'Not found' });
+
+    const id = `${decodeURIComponent(match[1])}/${decodeURIComponent(match[2])}`;
+    const data = read();
+    const record = data[id] ?? { state: initialCartState, applied: [] };
+
+    if (method === 'GET' && !match[3]) return json(200, record.state);
+
+    if (method === 'PUT' && !match[3]) {
+      if (!body || !Array.isArray(body.items)) return json(400, { error: 'Expected a cart state' });
+      const state = cartReducer(initialCartState, { type: HYDRATE, state: body });
+      write({ ...data, [id]: { ...record, state } });
+      return json(200, state);
+    }
+
+    if (method === 'POST' && match[3]) {
+      if (!Array.isArray(body?.mutations)) return json(400, { error: 'Expected { mutations }' });
+      const applied = new Set(record.applied);
+      let { state } = record;
+      body.mutations.forEach(({ id: mutationId, action }) => {
+        if (applied.has(mutationId)) return;
+        state = cartReducer(state, action);
+        applied.add(mutationId);
+      });
+      // Remembering the most recent ids is enough to absorb retries
+      write({ ...data, [id]: { state, applied: [...applied].slice(-500) } });
+      return json(200, state);
+    }
+
+    return json(405, { error: 'Method not allowed' });
+  };
+
+  return {
+    fetch: (url, { method = 'GET', body } = {}) =>
+      new Promise((resolve, reject) => {
+        setTimeout(() => {
+          if (!online) {
+            reject(new TypeError('Failed to fetch'));
+          } else if (Math.random() < failureRate) {
+            resolve(json(503, { error: 'Service unavailable' }));
+          } else {
+            const { pathname } = new URL(url, 'http://localhost');
+            resolve(handle(method, pathname, body ? JSON.parse(body) : undefined));
+          }
+        }, latency);
+      }),
+    setOnline: (value) => {
+      online = value;
+    },
+    isOnline: () => online,
+  };
+};
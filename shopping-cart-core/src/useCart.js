@@ -0,0 +1,12 @@
+import { useContext } from 'react';
+import { CartContext } from './CartContext.js';
+
+const useCart = () => {
+  const context = useContext(CartContext);
+  if (!context) {
+    throw new Error('useCart must be used within a CartProvider');
+  }
+  return context;
+};
+
+export default useCart;
@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+
+// Shows the cached catalog right away, then swaps in a fresh copy from the
+// source. If the source is unreachable the cached copy stays, marked offline.
+const useCatalog = (catalog) => {
+  const [state, setState] = useState({ products: [], loading: true, offline: false, error: null });
+
+  useEffect(() => {
+    let active = true;
+    let refreshed = false;
+
+    catalog.readCache()
+      .then(({ products }) => {
+        if (active && !refreshed && products.length > 0) {
+          setState(prev => ({ ...prev, products, loading: false }));
+        }
+      })
+      .catch(error => console.error('Failed to read catalog cache:', error));
+
+    catalog.refresh()
+      .then(products => {
+        refreshed = true;
+        if (active) setState({ products, loading: false, offline: false, error: null });
+      })
+      .catch(error => {
+        console.error('Failed to load catalog:', error);
+        if (active) setState(prev => ({ ...prev, loading: false, offline: true, error }));
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [catalog]);
+
+  return state;
+};
+
+export default useCatalog;
@@ -0,0 +1,12 @@
+import { useContext } from 'react';
+import { MultiCartContext } from './MultiCartContext.js';
+
+const useMultiCart = () => {
+  const context = useContext(MultiCartContext);
+  if (!context) {
+    throw new Error('useMultiCart must be used within a MultiCartProvider');
+  }
+  return context;
+};
+
+export default useMultiCart;
@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+
+// Orders from a `createOrderStore` store, newest first, updated as orders are placed
+const useOrders = (orders) => {
+  const [state, setState] = useState({ orders: [], loading: true, error: null });
+
+  useEffect(() => {
+    let active = true;
+
+    const load = () => {
+      orders.list()
+        .then(list => {
+          if (active) setState({ orders: list, loading: false, error: null });
+        })
+        .catch(error => {
+          console.error('Failed to load orders:', error);
+          if (active) setState(prev => ({ ...prev, loading: false, error }));
+        });
+    };
+
+    load();
+    const unsubscribe = orders.subscribe(load);
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [orders]);
+
+  return state;
+};
+
+export default useOrders;
@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import {
+  MultiCartProvider,
+  CartSwitcher,
+  ProductList,
+  ShoppingCart,
+  Checkout,
+  OrderHistory,
+  CartTransfer,
+  SharedCartPreview,
+  StorageInspector,
+  createCartRegistry,
+  createOrderStore,
+  createCatalog,
+  createJsonSource,
+  cartScopedName,
+} from 'shopping-cart-core';
+
+// The four demos, each with its own storage names so they can share this origin
+const STRATEGIES = [
+  { id: 'memory', label: 'Context', options: {} },
+  { id: 'localstorage', label: 'LocalStorage', options: { key: 'localstorage-cart' } },
+  { id: 'indexeddb', label: 'IndexedDB', options: { dbName: 'ShoppingCartDB', channelName: 'shopping-cart' } },
+  {
+    id: 'hybrid',
+    label: 'Hybrid',
+    options: { key: 'hybrid-cart', dbName: 'HybridCartDB', channelName: 'hybrid-cart' },
+  },
+];
+
+// Named carts per strategy, kept for the whole visit so switching back finds
+// the same carts, including the in-memory ones
+const registries = Object.fromEntries(STRATEGIES.map(({ id, options }) => [
+  id,
+  createCartRegistry({ strategy: id, options, registryKey: `shopping-carts:${id}` }),
+]));
+
+// Channels the IndexedDB and hybrid adapters use, one per cart
+const cartChannels = () =>
+  STRATEGIES
+    .filter(({ options }) => options.channelName)
+    .flatMap(({ id, options }) => registries[id].list().map(cart => cartScopedName(options.channelName, cart.id)));
+
+// Databases to list where the browser cannot enumerate them: one per cart,
+// and those of the orders, the catalog and the device keys
+const knownDatabases = () => [
+  ...STRATEGIES
+    .filter(({ options }) => options.dbName)
+    .flatMap(({ id, options }) => registries[id].list().map(cart => cartScopedName(options.dbName, cart.id))),
+  'ShoppingOrdersDB',
+  'ShoppingCatalogDB',
+  'ShoppingCartKeys',
+];
+
+// Placed orders, kept in IndexedDB
+const orders = createOrderStore();
+
+// Product catalog, cached in IndexedDB for offline browsing
+const catalog = createCatalog({ source: createJsonSource() });
+
+// Toggles `value` in a list of checkbox choices, keeping the strategy order
+const toggle = (list, value) =>
+  STRATEGIES.map(({ id }) => id).filter(id => (id === value ? !list.includes(value) : list.includes(id)));
+
+// One strategy with the full demo
+const renderDemo = (strategy) => (
+  <MultiCartProvider key={strategy} registry={registries[strategy]} catalog={catalog} orders={orders}>
+    <CartSwitcher />
+    <SharedCartPreview />
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <ProductList catalog={catalog} />
+      <div className="space-y-6">
+        <ShoppingCart />
+        <Checkout />
+        <OrderHistory orders={orders} />
+        <CartTransfer />
+      </div>
+    </div>
+  </MultiCartProvider>
+);
+
+// A narrow column per strategy, for comparing them side by side
+const renderColumn = (strategy) => (
+  <MultiCartProvider key={strategy.id} registry={registries[strategy.id]} catalog={catalog} orders={orders}>
+    <div className="space-y-4 min-w-0">
+      <h2 className="text-2xl font-bold">{strategy.label}</h2>
+      <CartSwitcher />
+      <ShoppingCart />
+      <ProductList catalog={catalog} />
+    </div>
+  </MultiCartProvider>
+);
+
+// Main App Component
+const App = () => {
+  const [layout, setLayout] = useState('single');
+  const [strategy, setStrategy] = useState('hybrid');
+  const [compared, setCompared] = useState(STRATEGIES.map(({ id }) => id));
+
+  return (
+    <div className="p-4 max-w-screen-2xl mx-auto">
+      <h1 className="text-3xl font-bold mb-6">Shopping Cart Strategy Playground</h1>
+      <div className="border p-4 rounded-lg mb-6 flex flex-wrap gap-6">
+        <fieldset>
+          <legend className="font-semibold">Layout</legend>
+          <label className="mr-4">
+            <input type="radio" checked={layout === 'single'} onChange={() => setLayout('single')} /> One strategy
+          </label>
+          <label>
+            <input type="radio" checked={layout === 'compare'} onChange={() => setLayout('compare')} /> Side by side
+          </label>
+        </fieldset>
+        <fieldset>
+          <legend className="font-semibold">Strategy</legend>
+          <div className="flex flex-wrap gap-4">
+            {STRATEGIES.map(({ id, label }) => (
+              <label key={id}>
+                {layout === 'single' ? (
+                  <input type="radio" checked={strategy === id} onChange={() => setStrategy(id)} />
+                ) : (
+                  <input type="checkbox" checked={compared.includes(id)} onChange={() => setCompared(toggle(compared, id))} />
+                )}{' '}
+                {label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      </div>
+
+      {layout === 'single' ? (
+        renderDemo(strategy)
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
+          {STRATEGIES.filter(({ id }) => compared.includes(id)).map(renderColumn)}
+        </div>
+      )}
+
+      <div className="mt-6">
+        <StorageInspector channels={cartChannels} databases={knownDatabases} />
+      </div>
+    </div>
+  );
+};
+
+export default App;